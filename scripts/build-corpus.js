@@ -0,0 +1,110 @@
+// Build step: validate the manuscript XML and annotation CSVs listed in
+// public/manuscripts/manifest.json, merge them, and write compact JSON to
+// public/corpus for the app to load lazily.
+// The XML and CSV files remain the source of truth; public/corpus is generated.
+import { createHash } from 'node:crypto';
+import { mkdir, rm, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseManuscript } from '../src/lib/manuscript.js';
+import { mergeAnnotations } from '../src/lib/annotations.js';
+import { manuscriptMetadata, packManuscript } from '../src/lib/corpus.js';
+import { manuscriptStats } from '../src/lib/stats.js';
+import { MANIFEST_KEYS, readCsv, readManifest, readXml, root } from './sources.js';
+
+const outputDir = path.join(root, 'public', 'corpus');
+
+// Catalogue fields from the manifest and the XML fields they override; an
+// empty manifest value keeps whatever the XML's SourceDesc says
+const MANIFEST_FIELDS = {
+  title: 'title',
+  shelfmark: 'idno',
+  date: 'date',
+  repository: 'location',
+  origin: 'origin',
+  description: 'additionalDetail'
+};
+
+const applyManifest = (manuscript, record) => {
+  const result = { ...manuscript, siglum: record.siglum };
+  Object.entries(MANIFEST_FIELDS).forEach(([key, field]) => {
+    const value = (record[key] || '').trim();
+    if (value) result[field] = value;
+    else if (result[field] === undefined) result[field] = '';
+  });
+  return result;
+};
+
+const buildManuscript = async (file, errors) => {
+  const xmlDoc = await readXml(file.xml, errors);
+  if (!xmlDoc) return null;
+
+  const manuscript = applyManifest(parseManuscript(xmlDoc, file.xml), file);
+  if (manuscript.paragraphs.length === 0) {
+    errors.push(`${file.xml}: no <content>/<item> paragraphs`);
+  }
+
+  const csvData = await readCsv(file.csv, errors);
+  return csvData ? mergeAnnotations(manuscript, csvData) : manuscript;
+};
+
+const writeJson = async (file, data) => {
+  const json = JSON.stringify(data);
+  await writeFile(path.join(outputDir, file), json);
+  return createHash('sha256').update(json).digest('hex').slice(0, 12);
+};
+
+const main = async () => {
+  const errors = [];
+  const manuscripts = [];
+  const records = await readManifest(errors);
+  for (const file of records.filter(record => MANIFEST_KEYS.every(key => record[key]))) {
+    const manuscript = await buildManuscript(file, errors);
+    if (manuscript) manuscripts.push(manuscript);
+  }
+
+  if (errors.length > 0) {
+    console.error(`Corpus build failed:\n  ${errors.join('\n  ')}`);
+    process.exit(1);
+  }
+
+  await rm(outputDir, { recursive: true, force: true });
+  await mkdir(outputDir, { recursive: true });
+
+  const entries = [];
+  for (const manuscript of manuscripts) {
+    const file = `${manuscript.siglum}.json`;
+    const reportFile = `${manuscript.siglum}.report.json`;
+    const hash = await writeJson(file, packManuscript(manuscript));
+    await writeJson(reportFile, manuscript.mergeReport);
+    const { matched, unmatchedRows, unmatchedTokens, conflicts } = manuscript.mergeReport;
+
+    entries.push({
+      ...manuscriptMetadata(manuscript),
+      file,
+      hash,
+      reportFile,
+      csvFile: records.find(record => record.siglum === manuscript.siglum).csv,
+      mergeSummary: {
+        matched,
+        unmatchedRows: unmatchedRows.length,
+        unmatchedTokens: unmatchedTokens.length,
+        conflicts: conflicts.length
+      },
+      verses: manuscript.chapters.flatMap(ch => ch.verses.map(item => `${ch.chapter},${item.verse}`)),
+      stats: manuscriptStats(manuscript)
+    });
+
+    console.log(
+      `${manuscript.siglum}: ${manuscript.paragraphs.length} paragraphs, ${matched} tokens annotated from CSV, ` +
+      `${unmatchedRows.length} unmatched rows, ${unmatchedTokens.length} unmatched tokens, ${conflicts.length} conflicts`
+    );
+  }
+
+  await writeJson('index.json', { manuscripts: entries });
+  console.log(`Wrote ${entries.length} manuscripts to ${path.relative(root, outputDir)}`);
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+// Vite build plugin: writes dist/sw.js from src/sw.js with the list of files to
+// pre-cache for offline reading. Each file carries a content hash, so a new build
+// changes sw.js (and the browser installs it) exactly when some file changed.
+import { createHash } from 'node:crypto';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+
+const contentHash = (content) => createHash('sha256').update(content).digest('hex').slice(0, 12);
+
+// Public files of the app shell; the corpus files come from public/corpus/index.json
+const PUBLIC_FILES = ['images/tobit-cover.png', 'icon.svg', 'manifest.webmanifest'];
+
+const publicEntries = async (publicDir) => {
+  const read = (file) => readFile(path.join(publicDir, file));
+  const entries = await Promise.all(PUBLIC_FILES.map(async url => ({ url, revision: contentHash(await read(url)) })));
+
+  const indexJson = await read('corpus/index.json');
+  entries.push({ url: 'corpus/index.json', revision: contentHash(indexJson) });
+  // Merge reports are only needed by editors and are cached when first opened
+  JSON.parse(indexJson).manuscripts.forEach(entry => entries.push({ url: `corpus/${entry.file}`, revision: entry.hash }));
+  return entries;
+};
+
+export const serviceWorker = () => {
+  let root;
+  let publicDir;
+
+  return {
+    name: 'tobit-service-worker',
+    apply: 'build',
+    enforce: 'post',
+    configResolved(config) {
+      root = config.root;
+      publicDir = config.publicDir;
+    },
+    async generateBundle(options, bundle) {
+      const built = Object.values(bundle).map(file => ({
+        url: file.fileName,
+        revision: contentHash(file.type === 'chunk' ? file.code : file.source)
+      }));
+      const precache = [...built, ...await publicEntries(publicDir)];
+      const source = await readFile(path.join(root, 'src', 'sw.js'), 'utf8');
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: source.replace('self.__PRECACHE__', JSON.stringify(precache, null, 2))
+      });
+    }
+  };
+};
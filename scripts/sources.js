@@ -0,0 +1,69 @@
+// Reading the source files listed in public/manuscripts/manifest.json, shared by
+// the corpus build and the validation script. Problems are pushed onto `errors`
+// as "file: message" strings rather than thrown, so one run reports all of them.
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { DOMParser } from '@xmldom/xmldom';
+import Papa from 'papaparse';
+
+export const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+export const sourceDir = path.join(root, 'public', 'manuscripts');
+
+const MANIFEST = 'manifest.json';
+export const MANIFEST_KEYS = ['siglum', 'xml', 'csv'];
+
+const CSV_COLUMNS = ['Unnamed: 0', 'O', 'Lemma', 'Gram', 'Eng', 'Grc', 'Arm'];
+
+export const readManifest = async (errors) => {
+  const manifest = JSON.parse(await readFile(path.join(sourceDir, MANIFEST), 'utf8'));
+  const records = manifest.manuscripts || [];
+  const seen = new Set();
+  records.forEach((record, idx) => {
+    const missing = MANIFEST_KEYS.filter(key => !record[key]);
+    if (missing.length > 0) errors.push(`${MANIFEST}: entry ${idx + 1} is missing ${missing.join(', ')}`);
+    if (seen.has(record.siglum)) errors.push(`${MANIFEST}: duplicate siglum ${record.siglum}`);
+    seen.add(record.siglum);
+  });
+  return records;
+};
+
+// The parsed XML document, or null when it isn't well-formed or has no <root>
+export const readXml = async (file, errors) => {
+  const before = errors.length;
+  const parser = new DOMParser({
+    onError: (level, message) => {
+      if (level !== 'warning') errors.push(`${file}: ${message}`);
+    }
+  });
+  let xmlDoc;
+  try {
+    xmlDoc = parser.parseFromString(await readFile(path.join(sourceDir, file), 'utf8'), 'text/xml');
+  } catch (error) {
+    // xmldom throws on fatal errors after reporting them
+    if (errors.length === before) errors.push(`${file}: ${error.message}`);
+    return null;
+  }
+  if (xmlDoc.documentElement?.nodeName !== 'root') {
+    errors.push(`${file}: expected a <root> element`);
+    return null;
+  }
+  return xmlDoc;
+};
+
+// CSV rows keyed by header, or null when a column the merge needs is missing
+export const readCsv = async (file, errors) => {
+  let csv;
+  try {
+    csv = Papa.parse(await readFile(path.join(sourceDir, file), 'utf8'), { header: true, skipEmptyLines: true });
+  } catch (error) {
+    errors.push(`${file}: ${error.message}`);
+    return null;
+  }
+  const missing = CSV_COLUMNS.filter(column => !csv.meta.fields.includes(column));
+  if (missing.length > 0) {
+    errors.push(`${file}: missing columns ${missing.join(', ')}`);
+    return null;
+  }
+  return csv.data;
+};
@@ -0,0 +1,205 @@
+// Pre-deploy check of the manuscript XML and annotation CSVs listed in
+// public/manuscripts/manifest.json. The app and the corpus build are lenient
+// (a missing <index> becomes the paragraph number, a missing field ''), so this
+// looks for what they paper over and prints a report per manuscript.
+//
+//   npm run validate                 errors fail the run, warnings are listed
+//   npm run validate -- --strict     warnings fail it too
+//   npm run validate -- --all        list every problem, not just the first few
+//
+// Exits with status 1 when the run fails.
+import { childElements, parseManuscript } from '../src/lib/manuscript.js';
+import { mergeAnnotations, normaliseForm } from '../src/lib/annotations.js';
+import { parseGram } from '../src/lib/tagset.js';
+import { CHAPTER_NUMBER, normaliseVerseRef, parseVerseRef } from '../src/lib/verses.js';
+import { MANIFEST_KEYS, readCsv, readManifest, readXml } from './sources.js';
+
+const EXAMPLE_LIMIT = 10;
+
+// Structural problems are errors: they change what the site shows or where its
+// links point. Missing or unknown annotations are warnings, to be worked through.
+const CHECKS = [
+  { id: 'structure', severity: 'error', title: 'XML structure' },
+  { id: 'index-missing', severity: 'error', title: 'Paragraphs without an <index>' },
+  { id: 'index-invalid', severity: 'error', title: '<index> is neither a verse reference nor a chapter number' },
+  { id: 'index-duplicate', severity: 'error', title: 'Duplicate verse indices' },
+  { id: 'index-order', severity: 'error', title: 'Verse indices out of order' },
+  { id: 'token-id', severity: 'error', title: 'Missing or duplicate token <id>' },
+  { id: 'token-count', severity: 'error', title: 'Different token counts in <text> and <tags>' },
+  { id: 'empty-lemma', severity: 'warning', title: 'Tokens with an empty lemma' },
+  { id: 'empty-gram', severity: 'warning', title: 'Tokens with an empty gram' },
+  { id: 'unknown-gram', severity: 'warning', title: 'gram values outside the tagset' },
+  { id: 'unmatched-row', severity: 'warning', title: 'CSV rows not matched to any XML token' }
+];
+
+const PARAGRAPH_FIELDS = ['index', 'text', 'tags'];
+const TOKEN_FIELDS = ['id', 'ogeo', 'lemma', 'gram', 'grc', 'arm', 'eng'];
+
+const args = new Set(process.argv.slice(2));
+const strict = args.has('--strict');
+const showAll = args.has('--all');
+
+// <text> may hold editorial markup as text: "ტ<supplied reason="lost"> ყირბი</supplied>ა"
+// is the one token "ტ[ყირბი]ა", so tags are dropped along with the space after an opening one
+const textTokens = (text) => text
+  .replace(/<[^/>][^>]*>\s*/g, '')
+  .replace(/<\/[^>]*>/g, '')
+  .split(/\s+/)
+  .filter(Boolean);
+
+const paragraphLabel = (para, position) => `${para.index} (paragraph ${position + 1})`;
+const tokenLabel = (para, word) => `${para.index} #${word.id || '?'} ${word.ogeo.trim()}`;
+
+const checkStructure = (xmlDoc, report) => {
+  const root = xmlDoc.documentElement;
+  ['Info', 'content'].forEach(name => {
+    if (childElements(root, name).length === 0) report('structure', `<root> has no <${name}>`);
+  });
+
+  childElements(childElements(root, 'content')[0], 'item').forEach((item, position) => {
+    const label = `paragraph ${position + 1}`;
+    const missing = PARAGRAPH_FIELDS.filter(name => childElements(item, name).length === 0);
+    if (missing.length > 0) report('structure', `${label}: no ${missing.map(name => `<${name}>`).join(', ')}`);
+
+    childElements(childElements(item, 'tags')[0], 'item').forEach((tag, wordIndex) => {
+      const absent = TOKEN_FIELDS.filter(name => childElements(tag, name).length === 0);
+      if (absent.length > 0) report('structure', `${label}, token ${wordIndex + 1}: no ${absent.map(name => `<${name}>`).join(', ')}`);
+    });
+
+    if (missing.includes('index') || !childElements(item, 'index')[0].textContent.trim()) {
+      report('index-missing', `${label} (the site numbers it ${position + 1})`);
+    }
+  });
+};
+
+const checkIndices = (manuscript, report) => {
+  const seen = new Map();
+  let previous = null;
+  manuscript.paragraphs.forEach((para, position) => {
+    const index = String(para.index).trim();
+    const ref = parseVerseRef(index);
+    if (!ref) {
+      if (!CHAPTER_NUMBER.test(index)) {
+        report('index-invalid', `paragraph ${position + 1}: "${index.length > 60 ? `${index.slice(0, 60)}…` : index}"`);
+      }
+      return;
+    }
+
+    const verse = normaliseVerseRef(index);
+    if (seen.has(verse)) report('index-duplicate', `${verse} (paragraphs ${seen.get(verse) + 1} and ${position + 1})`);
+    else seen.set(verse, position);
+
+    if (previous && (ref.chapter < previous.ref.chapter || (ref.chapter === previous.ref.chapter && ref.verse <= previous.ref.verse))) {
+      report('index-order', `${verse} follows ${previous.verse} (paragraph ${position + 1})`);
+    }
+    previous = { ref, verse };
+  });
+};
+
+const checkTokens = (manuscript, report) => {
+  const ids = new Map();
+  manuscript.paragraphs.forEach((para, position) => {
+    if (para.words.length > 0) {
+      const count = textTokens(para.text).length;
+      if (count !== para.words.length) {
+        report('token-count', `${paragraphLabel(para, position)}: ${count} in <text>, ${para.words.length} in <tags>`);
+      }
+    }
+
+    para.words.forEach(word => {
+      if (!word.id) report('token-id', `${tokenLabel(para, word)}: no id`);
+      else if (ids.has(word.id)) report('token-id', `${tokenLabel(para, word)}: id also used in ${ids.get(word.id)}`);
+      else ids.set(word.id, para.index);
+    });
+  });
+};
+
+// Annotations are checked after the CSV merge, as the site shows them
+const checkAnnotations = (merged, report) => {
+  merged.paragraphs.forEach(para => para.words.forEach(word => {
+    // Tokens that are only punctuation or editorial marks aren't annotated
+    if (!normaliseForm(word.ogeo)) return;
+    if (!word.lemma) report('empty-lemma', tokenLabel(para, word));
+    if (!word.grammar) {
+      report('empty-gram', tokenLabel(para, word));
+      return;
+    }
+    const gram = parseGram(word.grammar);
+    const problems = [
+      ...(gram.pos ? [] : ['no part of speech']),
+      ...(gram.unknown.length > 0 ? [`unknown ${gram.unknown.join(', ')}`] : [])
+    ];
+    if (problems.length > 0) report('unknown-gram', `${tokenLabel(para, word)}: ${word.grammar} (${problems.join('; ')})`);
+  }));
+
+  // Rows with no Georgian form (blank lines, transliteration-only continuations) aren't
+  // meant to match a token
+  merged.mergeReport.unmatchedRows.filter(row => normaliseForm(row.form)).forEach(row => {
+    const reason = row.reason === 'verse' ? 'verse not in the XML' : 'no token of the verse matches';
+    report('unmatched-row', `line ${row.line} (${row.verse || 'no verse'}) ${row.form}: ${reason}`);
+  });
+};
+
+const validate = async (record) => {
+  const errors = [];
+  const issues = new Map(CHECKS.map(check => [check.id, []]));
+  const report = (id, message) => issues.get(id).push(message);
+
+  const xmlDoc = await readXml(record.xml, errors);
+  if (xmlDoc) {
+    checkStructure(xmlDoc, report);
+    const manuscript = parseManuscript(xmlDoc, record.xml);
+    checkIndices(manuscript, report);
+    checkTokens(manuscript, report);
+
+    const csvData = await readCsv(record.csv, errors);
+    if (csvData) {
+      const merged = mergeAnnotations(manuscript, csvData);
+      checkAnnotations(merged, report);
+    }
+  }
+  errors.forEach(message => report('structure', message));
+  return issues;
+};
+
+const printIssues = (issues) => {
+  const totals = { error: 0, warning: 0 };
+  CHECKS.filter(check => issues.get(check.id).length > 0).forEach(check => {
+    const messages = issues.get(check.id);
+    totals[check.severity] += messages.length;
+    console.log(`  ${check.severity.padEnd(8)} ${check.title}: ${messages.length}`);
+    const shown = showAll ? messages : messages.slice(0, EXAMPLE_LIMIT);
+    shown.forEach(message => console.log(`           ${message}`));
+    if (shown.length < messages.length) console.log(`           … ${messages.length - shown.length} more (--all lists them)`);
+  });
+  if (totals.error + totals.warning === 0) console.log('  no problems found');
+  return totals;
+};
+
+const main = async () => {
+  const manifestErrors = [];
+  const records = await readManifest(manifestErrors);
+  const totals = { error: manifestErrors.length, warning: 0 };
+  if (manifestErrors.length > 0) {
+    console.log('manifest.json');
+    manifestErrors.forEach(message => console.log(`  error    ${message}`));
+    console.log('');
+  }
+
+  for (const record of records.filter(entry => MANIFEST_KEYS.every(key => entry[key]))) {
+    console.log(`${record.siglum} (${record.xml}, ${record.csv})`);
+    const counts = printIssues(await validate(record));
+    totals.error += counts.error;
+    totals.warning += counts.warning;
+    console.log('');
+  }
+
+  const failed = totals.error > 0 || (strict && totals.warning > 0);
+  console.log(`${totals.error} errors, ${totals.warning} warnings: ${failed ? 'FAILED' : 'OK'}`);
+  if (failed) process.exitCode = 1;
+};
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
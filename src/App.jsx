@@ -1,279 +1,361 @@
-import React, { useState, useEffect } from 'react';
-import { Search, MapPin } from 'lucide-react';
-
-// XML Parser
-const parseXML = (xmlString) => {
-  const parser = new DOMParser();
-  return parser.parseFromString(xmlString, 'text/xml');
+import React, { useState, useEffect, useMemo } from 'react';
+import { Search } from 'lucide-react';
+import { loadCorpusIndex, loadManuscript, loadMergeReport, loadSourceFile } from './lib/corpus';
+import { downloadCsv, downloadFile } from './lib/download';
+import { parseQuery } from './lib/query';
+import { manuscriptToTei } from './lib/tei';
+import { buildApparatus, formatEntry, apparatusToText, apparatusToTei } from './lib/apparatus';
+import { sortKwic, DEFAULT_CONTEXT_WORDS } from './lib/search';
+import { buildSearchIndex, searchIndexed } from './lib/searchIndex';
+import { searchJson, searchRows, searchToHtml } from './lib/textExport';
+import SearchForm from './components/SearchForm';
+import SynopticView from './components/SynopticView';
+import MapView from './components/MapView';
+import CatalogueView from './components/CatalogueView';
+import GlossaryView from './components/GlossaryView';
+import StatsView from './components/StatsView';
+import EquivalenceView from './components/EquivalenceView';
+import AnnotationEditor from './components/AnnotationEditor';
+import CitationPanel from './components/CitationPanel';
+import VerseRangeExport from './components/VerseRangeExport';
+import EditReview from './components/EditReview';
+import Navigation from './components/Navigation';
+import ConnectionStatus from './components/ConnectionStatus';
+import { useHashRoute } from './lib/router';
+import { useServiceWorker } from './lib/offline';
+import { leadingVerseRef, numberRanges, tableOfContents, versification } from './lib/verses';
+import { FEATURES, POS_STYLES, describeGram, gramHasFeature, parseGram } from './lib/tagset';
+import { alignTranslation } from './lib/translationAlignment';
+import { NO_EQUIVALENT } from './lib/annotations';
+import { armenianText } from './lib/equivalents';
+import { applyEdits, editDiff, editKey, loadStoredEdits, patchCsv, patchXml, serialiseXml, setTokenEdit, storeEdits, toCsv } from './lib/annotationEdits';
+import { I18nContext, loadLocale, storeLocale, translate } from './lib/i18n';
+
+// Text columns that can be shown side by side in the reader, labelled by language
+const TEXT_COLUMNS = ['georgian', 'greek', 'armenian'];
+
+const GRID_COLUMNS = { 1: 'grid-cols-1', 2: 'grid-cols-2', 3: 'grid-cols-3' };
+
+// Flatten a merge report into one row per issue for review in a spreadsheet
+const mergeReportRows = (report) => [
+  ...report.conflicts.map(item => ({ type: 'conflict', reason: '', ...item })),
+  ...report.unmatchedRows.map(item => ({ type: 'unmatched-row', position: '', field: '', xml: '', csv: item.form, ...item })),
+  ...report.unmatchedTokens.map(item => ({ type: 'unmatched-token', line: '', field: '', xml: item.form, csv: '', reason: '', ...item }))
+].map(({ type, line, verse, position, form, field, xml, csv, reason }) => ({ type, line, verse, position, form, field, xml, csv, reason }));
+
+const REPORT_PREVIEW_LIMIT = 100;
+
+// Metadata fields listed in the manuscript sidebar, labelled from metadata.* in the catalogues
+const METADATA_FIELDS = ['title', 'editor', 'email', 'publisher', 'pubPlace', 'publishDate', 'sourceStatus', 'location', 'date', 'additionalDetail'];
+
+// Paragraph position a manuscript route points at: an explicit paragraph,
+// a verse, or the start of a chapter (its heading if it has one)
+const routePosition = (manuscript, route) => {
+  if (route.paragraph !== undefined) return route.paragraph;
+  if (route.chapter === undefined) return null;
+
+  const chapter = manuscript.chapters.find(ch => ch.chapter === route.chapter);
+  if (!chapter) return null;
+  if (route.verse !== undefined) return chapter.verses.find(item => item.verse === route.verse)?.position ?? null;
+  return chapter.positions[0];
 };
 
-const parseManuscript = (xmlDoc, filename) => {
-  console.log('Parsing XML:', filename);
-
-  // Parse Info section
-  const infoEl = xmlDoc.querySelector('Info');
-  const titleEl = infoEl?.querySelector('title');
-  const editorEl = infoEl?.querySelector('editor');
-  const emailEl = infoEl?.querySelector('email');
-  const publisherEl = infoEl?.querySelector('publisher');
-  const pubPlaceEl = infoEl?.querySelector('pubPlace');
-  const dateEl = infoEl?.querySelector('publish_date');
-
-  const sourceDesc = infoEl?.querySelector('SourceDesc');
-  const sourceStatusEl = sourceDesc?.querySelector('sourceStatus');
-  const locationEl = sourceDesc?.querySelector('location');
-  const dateOriginEl = sourceDesc?.querySelector('date');
-  const additionalEl = sourceDesc?.querySelector('additionalDetail');
-
-  // Parse content section
-  const contentEl = xmlDoc.querySelector('content');
-  const itemElements = contentEl?.querySelectorAll(':scope > item') || [];
-
-  console.log(`Found ${itemElements.length} paragraphs in ${filename}`);
-
-  const paragraphs = Array.from(itemElements).map((item, idx) => {
-    const index = item.querySelector('index')?.textContent || idx + 1;
-    const text = item.querySelector('text')?.textContent || '';
-    const translation = item.querySelector('translation')?.textContent || '';
-
-    // Parse tags (words with annotations)
-    const tagsEl = item.querySelector('tags');
-    const tagItems = tagsEl?.querySelectorAll(':scope > item') || [];
-
-    const words = Array.from(tagItems).map(tagItem => ({
-      ogeo: tagItem.querySelector('ogeo')?.textContent || '',
-      lemma: tagItem.querySelector('lemma')?.textContent || '',
-      grammar: tagItem.querySelector('gram')?.textContent || '',
-      english: tagItem.querySelector('eng')?.textContent || '',
-      greek: tagItem.querySelector('grc')?.textContent || ''
-    }));
+const App = () => {
+  const [route, navigate] = useHashRoute();
+  const view = route.view;
+  const { offline, updateReady, applyUpdate } = useServiceWorker();
+  // Index entries for every witness, and the subset whose text has been fetched
+  const [catalogue, setCatalogue] = useState([]);
+  const [manuscripts, setManuscripts] = useState([]);
+  const [mergeReports, setMergeReports] = useState({});
+  const [mergeReportError, setMergeReportError] = useState('');
+  const [kwicWidth, setKwicWidth] = useState(DEFAULT_CONTEXT_WORDS);
+  const [kwicSort, setKwicSort] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState('');
+  const [visibleColumns, setVisibleColumns] = useState(['georgian', 'greek']);
+  const [showApparatus, setShowApparatus] = useState(false);
+  // Reader mode: '' for plain text, 'pos' to colour by part of speech, or a "feature:code" to highlight
+  const [grammarHighlight, setGrammarHighlight] = useState('');
+  // Annotation editor: corrections per siglum (kept in localStorage), the token being edited
+  // ({ siglum, position, wordIndex })
+  const [annotationEdits, setAnnotationEdits] = useState(loadStoredEdits);
+  const [editMode, setEditMode] = useState(false);
+  const [editingToken, setEditingToken] = useState(null);
+  const [editExportNote, setEditExportNote] = useState('');
+  const [apparatusError, setApparatusError] = useState('');
+  const [searchExportError, setSearchExportError] = useState('');
+  // Reader state, kept here so that it outlives re-renders of App (see manuscriptView)
+  const [hoveredWord, setHoveredWord] = useState(null);
+  const [activeNote, setActiveNote] = useState(null);
+  // Token whose translation links are shown: { position, side: 'ka' | 'grc', index }
+  const [hoveredLink, setHoveredLink] = useState(null);
+  const [pinnedLink, setPinnedLink] = useState(null);
+  // Open citation: { position }, null for the whole witness
+  const [citing, setCiting] = useState(null);
+  // Set once the search box is used, so the index behind its suggestions gets built
+  const [suggestionsWanted, setSuggestionsWanted] = useState(false);
+  // Interface language, remembered in localStorage
+  const [locale, setLocale] = useState(loadLocale);
+  const i18n = useMemo(() => ({ locale, setLocale, t: (key, params) => translate(locale, key, params) }), [locale]);
+  const { t } = i18n;
 
-    console.log(`Paragraph ${index}: ${words.length} words`);
-
-    return { index, translation, words, text };
-  });
-
-  console.log(`Total paragraphs parsed: ${paragraphs.length}`);
-
-  return {
-    filename,
-    title: titleEl?.textContent || 'Untitled',
-    editor: editorEl?.textContent || '',
-    email: emailEl?.textContent || '',
-    publisher: publisherEl?.textContent || '',
-    pubPlace: pubPlaceEl?.textContent || '',
-    publishDate: dateEl?.textContent || '',
-    sourceStatus: sourceStatusEl?.textContent || '',
-    location: locationEl?.textContent || '',
-    date: dateOriginEl?.textContent || '',
-    additionalDetail: additionalEl?.textContent || '',
-    paragraphs,
-    notes: []
-  };
-};
+  useEffect(() => {
+    loadCorpusIndex()
+      .then(index => setCatalogue(index.manuscripts))
+      .catch(error => {
+        console.error('Error loading corpus index:', error);
+        setLoadError(error.message);
+      })
+      .finally(() => setLoading(false));
+  }, []);
 
-// Merge CSV annotations with XML structure
-const mergeAnnotations = (manuscript, csvData) => {
-  if (!csvData || csvData.length === 0) return manuscript;
-
-  // Create annotation lookup by Georgian word
-  const annotationMap = new Map();
-  csvData.forEach(row => {
-    if (row.O) {
-      const key = row.O.trim();
-      if (!annotationMap.has(key)) {
-        annotationMap.set(key, []);
-      }
-      annotationMap.get(key).push({
-        lemma: row.Lemma || '',
-        grammar: row.Gram || '',
-        english: row.Eng || '',
-        greek: row.Grc || ''
+  useEffect(() => storeEdits(annotationEdits), [annotationEdits]);
+
+  // Another witness starts with no pinned link, open citation or highlighted note
+  useEffect(() => {
+    setPinnedLink(null);
+    setCiting(null);
+    setActiveNote(null);
+  }, [route.siglum]);
+
+  useEffect(() => {
+    storeLocale(locale);
+    document.documentElement.lang = locale;
+    document.title = translate(locale, 'home.title');
+  }, [locale]);
+
+  // Manuscripts are fetched when first needed: the open one, or all of them
+  // for views that compare or search across witnesses
+  const neededSigla = useMemo(() => {
+    const needsAll = suggestionsWanted || view === 'search' || view === 'synopsis' || view === 'glossary' || view === 'stats' || view === 'equivalents' || (view === 'manuscript' && showApparatus);
+    if (needsAll) return catalogue.map(entry => entry.siglum);
+    return view === 'manuscript' ? [route.siglum] : [];
+  }, [view, route.siglum, showApparatus, suggestionsWanted, catalogue]);
+
+  useEffect(() => {
+    const missing = catalogue.filter(entry => (
+      neededSigla.includes(entry.siglum) && !manuscripts.some(manuscript => manuscript.siglum === entry.siglum)
+    ));
+    if (missing.length === 0) return;
+
+    Promise.all(missing.map(loadManuscript))
+      .then(loaded => setManuscripts(prev => {
+        const bySiglum = new Map([...prev, ...loaded].map(manuscript => [manuscript.siglum, manuscript]));
+        return catalogue.map(entry => bySiglum.get(entry.siglum)).filter(Boolean);
+      }))
+      .catch(error => {
+        console.error('Error loading manuscripts:', error);
+        setLoadError(error.message);
       });
+  }, [catalogue, neededSigla, manuscripts]);
+
+  const allLoaded = catalogue.length > 0 && manuscripts.length === catalogue.length;
+  const currentEntry = view === 'manuscript'
+    ? catalogue.find(entry => entry.siglum === route.siglum) || null
+    : null;
+
+  // The open manuscript as loaded, and as the reader shows it with the local corrections applied
+  const sourceManuscript = view === 'manuscript'
+    ? manuscripts.find(manuscript => manuscript.siglum === route.siglum) || null
+    : null;
+  const currentEdits = annotationEdits[route.siglum];
+  const currentManuscript = useMemo(
+    () => sourceManuscript && applyEdits(sourceManuscript, currentEdits),
+    [sourceManuscript, currentEdits]
+  );
+  const currentDiff = useMemo(
+    () => (sourceManuscript ? editDiff(sourceManuscript, currentEdits) : []),
+    [sourceManuscript, currentEdits]
+  );
+
+  // Lemmas and tags already in the loaded witnesses, suggested by the annotation editor
+  const annotationSuggestions = useMemo(() => {
+    if (!editMode) return { lemmas: [], grams: [] };
+    const words = manuscripts.flatMap(manuscript => manuscript.paragraphs.flatMap(para => para.words));
+    const distinct = (field) => [...new Set(words.map(word => word[field]).filter(Boolean))].sort((a, b) => a.localeCompare(b, 'ka'));
+    return { lemmas: distinct('lemma'), grams: distinct('grammar') };
+  }, [editMode, manuscripts]);
+  const searchQuery = view === 'search' ? route.query : '';
+  const searchOptions = { regex: Boolean(route.regex), wholeWord: Boolean(route.wholeWord), fuzzy: Boolean(route.fuzzy) };
+
+  // Verse and token to scroll to and highlight, taken from the URL
+  const focus = useMemo(() => {
+    if (!currentManuscript) return null;
+    const position = routePosition(currentManuscript, route);
+    return position === null ? null : { position, wordIndex: route.word ?? null };
+  }, [currentManuscript, route]);
+
+  // Every verse attested in some witness, the yardstick for lacunae in the table of contents
+  const referenceVerses = useMemo(() => versification(catalogue.flatMap(entry => entry.verses)), [catalogue]);
+
+  // The reader shows one chapter at a time: the one holding the focused paragraph, else
+  // the routed chapter, else the first. null when the routed chapter is lost in this witness.
+  const currentChapter = useMemo(() => {
+    if (!currentManuscript) return null;
+    const { chapters } = currentManuscript;
+    if (focus) return chapters.find(ch => ch.positions.includes(focus.position)) || null;
+    if (route.chapter !== undefined) return chapters.find(ch => ch.chapter === route.chapter) || null;
+    return chapters[0] || null;
+  }, [currentManuscript, focus, route.chapter]);
+
+  // Inverted index over every witness, for search and the search box suggestions
+  const searchIndex = useMemo(() => (allLoaded ? buildSearchIndex(manuscripts) : null), [allLoaded, manuscripts]);
+
+  const { searchResults, searchError } = useMemo(() => {
+    if (view !== 'search' || !route.query.trim() || !searchIndex) return { searchResults: [], searchError: '' };
+    try {
+      const options = { regex: route.regex, wholeWord: route.wholeWord, fuzzy: route.fuzzy, contextWords: kwicWidth };
+      return { searchResults: searchIndexed(searchIndex, parseQuery(route.query), options), searchError: '' };
+    } catch (error) {
+      return { searchResults: [], searchError: error.code ? t(`query.errors.${error.code}`, { detail: error.detail }) : error.message };
     }
-  });
-
-  // Merge annotations into manuscript words
-  manuscript.paragraphs = manuscript.paragraphs.map(para => {
-    para.words = para.words.map(word => {
-      const annotations = annotationMap.get(word.ogeo);
-      if (annotations && annotations.length > 0) {
-        const annot = annotations.shift(); // Use first match and remove it
-        return {
-          ...word,
-          lemma: annot.lemma || word.lemma,
-          grammar: annot.grammar || word.grammar,
-          english: annot.english || word.english,
-          greek: annot.greek || word.greek
-        };
-      }
-      return word;
-    });
-    return para;
-  });
+  }, [view, route, searchIndex, kwicWidth, t]);
 
-  return manuscript;
-};
+  // Georgian tokens linked to the words of the Greek translation, by paragraph position
+  const translationLinks = useMemo(() => new Map((currentManuscript?.paragraphs || [])
+    .map((para, position) => [position, para])
+    .filter(([, para]) => para.words.length > 0 && para.translation.trim())
+    .map(([position, para]) => [position, alignTranslation(para)])), [currentManuscript]);
 
-const App = () => {
-  const [view, setView] = useState('home');
-  const [manuscripts, setManuscripts] = useState([]);
-  const [currentManuscript, setCurrentManuscript] = useState(null);
-  const [searchQuery, setSearchQuery] = useState('');
-  const [searchResults, setSearchResults] = useState([]);
-  const [loading, setLoading] = useState(true);
+  // Apparatus of the open manuscript against every other witness, keyed by paragraph position
+  const apparatusByPosition = useMemo(() => {
+    if (!showApparatus || !currentManuscript || !allLoaded) return new Map();
+    const apparatus = buildApparatus(currentManuscript, manuscripts);
+    return new Map(apparatus.verses.map(verse => [verse.position, verse]));
+  }, [showApparatus, currentManuscript, manuscripts, allLoaded]);
 
   useEffect(() => {
-    const loadManuscripts = async () => {
-      try {
-        const files = [
-          { xml: 'O.xml', csv: 'modified_anot_O.csv', title: 'ოშკის ბიბლია (Ath.1)' },
-          { xml: 'I.xml', csv: 'modified_anot_I.csv', title: 'A-570' },
-          { xml: 'D.xml', csv: 'modified_anot_D.csv', title: 'H-885' },
-          { xml: 'M.xml', csv: 'modified_anot_M.csv', title: 'm7125' },
-          { xml: 'F.xml', csv: 'modified_anot_F.csv', title: 'A-646' }
-        ];
-
-        const Papa = await import('papaparse');
-
-        const promises = files.map(async (file) => {
-          try {
-            // Load XML
-            const xmlResponse = await fetch(`${import.meta.env.BASE_URL}manuscripts/${file.xml}`);
-            const xmlText = await xmlResponse.text();
-            const xmlDoc = parseXML(xmlText);
-            let manuscript = parseManuscript(xmlDoc, file.xml);
-            manuscript.title = file.title;
-
-            // Load CSV annotations
-            try {
-              const csvResponse = await fetch(`${import.meta.env.BASE_URL}manuscripts/${file.csv}`);
-              const csvText = await csvResponse.text();
-              const result = Papa.parse(csvText, {
-                header: true,
-                skipEmptyLines: true
-              });
-              manuscript = mergeAnnotations(manuscript, result.data);
-            } catch (csvError) {
-              console.log(`No CSV for ${file.xml}, using XML annotations only`);
-            }
-
-            return manuscript;
-          } catch (error) {
-            console.error(`Error loading ${file.xml}:`, error);
-            return null;
-          }
-        });
-
-        const loadedManuscripts = await Promise.all(promises);
-        const validManuscripts = loadedManuscripts.filter(m => m !== null);
-        setManuscripts(validManuscripts);
-        setLoading(false);
-      } catch (error) {
-        console.error('Error loading manuscripts:', error);
-        setLoading(false);
-      }
-    };
+    if (!focus) return;
+    const element = document.getElementById(`para-${focus.position}`);
+    if (element) {
+      element.scrollIntoView({ behavior: 'smooth', block: focus.wordIndex === null ? 'start' : 'center' });
+    }
+  }, [focus]);
 
-    loadManuscripts();
-  }, []);
+  const handleSearch = (query, options = searchOptions) => {
+    if (!query.trim()) return;
+    navigate({ view: 'search', query, ...options });
+  };
 
-  const handleSearch = () => {
-    if (!searchQuery.trim()) return;
-
-    const results = [];
-    manuscripts.forEach(manuscript => {
-      const manuscriptResults = [];
-
-      manuscript.paragraphs.forEach(paragraph => {
-        paragraph.words.forEach((word, wordIndex) => {
-          if (word.ogeo && word.ogeo.toLowerCase().includes(searchQuery.toLowerCase())) {
-            const leftContext = paragraph.words.slice(Math.max(0, wordIndex - 3), wordIndex)
-              .map(w => w.ogeo).join(' ');
-            const rightContext = paragraph.words.slice(wordIndex + 1, wordIndex + 4)
-              .map(w => w.ogeo).join(' ');
-
-            manuscriptResults.push({
-              word: word.ogeo,
-              leftContext,
-              rightContext,
-              paragraphIndex: paragraph.index,
-              file: manuscript.filename
-            });
-          }
-        });
-      });
+  const viewManuscript = (manuscript) => {
+    navigate({ view: 'manuscript', siglum: manuscript.siglum });
+  };
 
-      if (manuscriptResults.length > 0) {
-        results.push({
-          manuscript,
-          results: manuscriptResults,
-          count: manuscriptResults.length
-        });
+  // Open a manuscript at a verse (by paragraph position), optionally highlighting one token
+  const openVerse = (manuscript, position, wordIndex = null) => {
+    const ref = leadingVerseRef(manuscript.paragraphs[position]?.index);
+    navigate({
+      view: 'manuscript',
+      siglum: manuscript.siglum,
+      ...(ref ? { chapter: ref.chapter, verse: ref.verse } : { paragraph: position }),
+      word: wordIndex ?? undefined
+    });
+  };
+
+  const toggleColumn = (columnId) => {
+    setVisibleColumns(prev => {
+      if (prev.includes(columnId)) {
+        // Always keep at least one column on screen
+        return prev.length > 1 ? prev.filter(id => id !== columnId) : prev;
       }
+      return TEXT_COLUMNS.filter(id => id === columnId || prev.includes(id));
     });
+  };
 
-    setSearchResults(results);
-    setView('search');
+  const showMergeReport = async (entry) => {
+    try {
+      setMergeReportError('');
+      const report = await loadMergeReport(entry);
+      setMergeReports(prev => ({ ...prev, [entry.siglum]: report }));
+    } catch (error) {
+      console.error(`Error loading merge report for ${entry.siglum}:`, error);
+      setMergeReportError(t('merge.loadFailed', { error: error.message }));
+    }
   };
 
-  const handleSearchKeyPress = (e) => {
-    if (e.key === 'Enter') {
-      handleSearch();
+  const downloadMergeReport = async (entry) => {
+    try {
+      setMergeReportError('');
+      const report = mergeReports[entry.siglum] || await loadMergeReport(entry);
+      await downloadCsv(entry.filename.replace(/\.xml$/, '-merge-report.csv'), mergeReportRows(report));
+    } catch (error) {
+      console.error(`Error downloading merge report for ${entry.siglum}:`, error);
+      setMergeReportError(t('export.failed', { error: error.message }));
     }
   };
 
-  const viewManuscript = (manuscript) => {
-    setCurrentManuscript(manuscript);
-    setView('manuscript');
+  const downloadApparatus = async (manuscript, format) => {
+    try {
+      setApparatusError('');
+      const witnesses = await Promise.all(catalogue.map(loadManuscript));
+      const apparatus = buildApparatus(manuscript, witnesses);
+      const title = `${manuscript.title}: critical apparatus (base ${manuscript.siglum})`;
+      if (format === 'tei') {
+        downloadFile(`${manuscript.siglum}-apparatus.xml`, apparatusToTei(apparatus, witnesses, title), 'application/xml');
+      } else {
+        downloadFile(`${manuscript.siglum}-apparatus.txt`, apparatusToText(apparatus, title));
+      }
+    } catch (error) {
+      console.error(`Error building the apparatus for ${manuscript.siglum}:`, error);
+      setApparatusError(t('reader.apparatusFailed', { error: error.message }));
+    }
   };
 
-  const goHome = () => {
-    setView('home');
-    setCurrentManuscript(null);
-    setSearchQuery('');
+  // Search results as shown, in the chosen KWIC order
+  const downloadSearchResults = async (format) => {
+    try {
+      setSearchExportError('');
+      const results = searchResults.map(result => ({ ...result, results: sortKwic(result.results, kwicSort) }));
+      if (format === 'csv') await downloadCsv('tobit-search.csv', searchRows(results));
+      if (format === 'json') downloadFile('tobit-search.json', searchJson(results, searchQuery), 'application/json');
+      if (format === 'html') downloadFile('tobit-search.html', searchToHtml(results, searchQuery, t), 'text/html');
+    } catch (error) {
+      console.error(`Error exporting the search results as ${format}:`, error);
+      setSearchExportError(t('export.failed', { error: error.message }));
+    }
   };
 
-  const Navigation = () => (
-    <nav className="bg-gray-100 shadow-sm border-b border-gray-200">
-      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
-        <div className="flex justify-between items-center h-16">
-          <div className="flex items-center space-x-1">
-            <button onClick={goHome} className="text-gray-700 hover:text-blue-600 px-3 py-2">
-              საწყისი
-            </button>
-            <button onClick={() => setView('about')} className="text-gray-700 hover:text-blue-600 px-3 py-2">
-              პროექტის შესახებ
-            </button>
-            <span className="text-gray-400 px-3 py-2 cursor-not-allowed">
-              ხელნაწერები
-            </span>
-            <span className="text-gray-400 px-3 py-2 cursor-not-allowed flex items-center space-x-1">
-              <MapPin className="w-4 h-4" />
-              <span>რუკა</span>
-            </span>
-          </div>
+  const saveTokenEdit = (position, wordIndex, values) => {
+    setAnnotationEdits(prev => ({
+      ...prev,
+      [sourceManuscript.siglum]: setTokenEdit(prev[sourceManuscript.siglum], sourceManuscript, position, wordIndex, values)
+    }));
+  };
 
-          <div className="flex items-center space-x-2">
-            <input
-              type="text"
-              value={searchQuery}
-              onChange={(e) => setSearchQuery(e.target.value)}
-              onKeyPress={handleSearchKeyPress}
-              placeholder="..."
-              className="px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
-            />
-            <button
-              onClick={handleSearch}
-              className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
-            >
-              ძიება
-            </button>
-          </div>
-        </div>
-      </div>
-    </nav>
-  );
+  const discardEdits = () => {
+    if (!window.confirm(t('edits.confirmDiscard'))) return;
+    setAnnotationEdits(prev => {
+      const next = { ...prev };
+      delete next[sourceManuscript.siglum];
+      return next;
+    });
+    setEditingToken(null);
+  };
+
+  // Corrected copies of the source files the corpus was built from
+  const downloadCorrected = async (entry, format) => {
+    try {
+      if (format === 'xml') {
+        const source = await loadSourceFile(entry.filename);
+        const xmlDoc = new DOMParser().parseFromString(source, 'text/xml');
+        patchXml(xmlDoc, sourceManuscript, currentEdits);
+        downloadFile(entry.filename, serialiseXml(xmlDoc, source), 'application/xml');
+        setEditExportNote('');
+      } else {
+        const { default: Papa } = await import('papaparse');
+        const csv = Papa.parse(await loadSourceFile(entry.csvFile), { header: true, skipEmptyLines: true });
+        const { rows, skipped } = patchCsv(sourceManuscript, csv.data, currentEdits);
+        downloadFile(entry.csvFile, toCsv(csv.meta.fields, rows, csv.meta.linebreak), 'text/csv');
+        setEditExportNote(skipped > 0 ? t('edits.csvSkipped', { count: skipped }) : '');
+      }
+    } catch (error) {
+      console.error(`Error exporting corrected ${format} for ${entry.siglum}:`, error);
+      setEditExportNote(t('edits.exportFailed', { error: error.message }));
+    }
+  };
+
+  const goHome = () => navigate({ view: 'home' });
 
   const HomeView = () => (
     <div
@@ -286,12 +368,12 @@ const App = () => {
       {/* Content */}
       <div className="relative z-10 min-h-screen flex flex-col items-center justify-center px-4 py-12">
         <h1 className="text-6xl font-bold text-white mb-16 text-center drop-shadow-lg">
-          ტობის წიგნი
+          {t('home.title')}
         </h1>
 
         <ul className="space-y-4 text-center">
-          {manuscripts.length > 0 ? (
-            manuscripts.map((manuscript, idx) => (
+          {catalogue.length > 0 ? (
+            catalogue.map((manuscript, idx) => (
               <li key={idx}>
                 <button
                   onClick={() => viewManuscript(manuscript)}
@@ -303,7 +385,7 @@ const App = () => {
             ))
           ) : (
             <li className="text-white text-center py-4 text-xl drop-shadow-lg">
-              იტვირთება ხელნაწერები...
+              {loadError ? t('common.loadFailed', { error: loadError }) : t('common.loadingManuscripts')}
             </li>
           )}
         </ul>
@@ -311,46 +393,95 @@ const App = () => {
     </div>
   );
 
-  const ManuscriptView = () => {
-    if (!currentManuscript) return null;
-
-    const [hoveredWord, setHoveredWord] = useState(null);
-    const [selectedChapter, setSelectedChapter] = useState('');
+  // Called rather than rendered as <ManuscriptView />: a component defined in App is a new
+  // type on every render, so React would remount the reader, resetting its panels,
+  // whenever anything in App changed
+  const manuscriptView = () => {
+    if (!currentManuscript) {
+      return (
+        <div className="max-w-3xl mx-auto px-4 py-12">
+          <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
+            <h3 className="text-lg font-semibold text-yellow-800 mb-2">{t('reader.notFound')}</h3>
+            <p className="text-yellow-700 mb-4">{t('reader.unknownWitness', { siglum: route.siglum })}</p>
+            <button onClick={goHome} className="text-blue-600 hover:underline">{t('reader.backHome')}</button>
+          </div>
+        </div>
+      );
+    }
 
-    // Extract chapters from paragraphs - more flexible detection
-    const isChapterHeader = (para) => {
-      // Method 1: text is "თავი"
-      if (para.text === 'თავი') return true;
+    const editing = editMode && editingToken?.siglum === currentManuscript.siglum ? editingToken : null;
 
-      // Method 2: index is Roman numeral (I, II, III, etc.) and has few/no words
-      const romanNumeralPattern = /^M{0,4}(CM|CD|D?C{0,3})(XC|XL|L?X{0,3})(IX|IV|V?I{0,3})$/i;
-      if (romanNumeralPattern.test(para.index) && (!para.words || para.words.length === 0)) {
-        return true;
-      }
+    // Notes anchored in the text, keyed by paragraph position
+    const notesByPosition = new Map();
+    currentManuscript.notes.forEach(note => {
+      if (note.position === null) return;
+      if (!notesByPosition.has(note.position)) notesByPosition.set(note.position, []);
+      notesByPosition.get(note.position).push(note);
+    });
 
-      // Method 3: Has "თავი" in the text and very few words
-      if (para.text && para.text.includes('თავი') && (!para.words || para.words.length <= 2)) {
-        return true;
-      }
+    const NoteMarker = ({ note }) => (
+      <sup>
+        <button
+          onClick={() => {
+            setActiveNote(note.count);
+            document.getElementById(`note-${note.count}`)?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+          }}
+          className="text-xs text-blue-600 hover:underline px-0.5"
+          title={note.note}
+        >
+          {note.count}
+        </button>
+      </sup>
+    );
 
-      return false;
+    const { chapters } = currentManuscript;
+    const chapterIndex = chapters.indexOf(currentChapter);
+    const contents = tableOfContents(chapters, referenceVerses);
+    // Without verse references there are no chapters, and the whole text is shown
+    const visiblePositions = currentChapter
+      ? currentChapter.positions
+      : chapters.length === 0 ? currentManuscript.paragraphs.map((para, position) => position) : [];
+
+    const openChapter = (chapter) => {
+      if (chapter === '') return;
+      navigate({ view: 'manuscript', siglum: currentManuscript.siglum, chapter: Number(chapter) });
     };
 
-    const chapters = currentManuscript.paragraphs
-      .filter(para => isChapterHeader(para))
-      .map(para => para.index);
+    // Links to the neighbouring chapters this witness has
+    const ChapterPager = () => (
+      <div className="flex justify-between text-sm my-4">
+        {chapterIndex > 0 ? (
+          <button onClick={() => openChapter(chapters[chapterIndex - 1].chapter)} className="text-blue-600 hover:underline">
+            ← {t('common.chapter', { label: chapters[chapterIndex - 1].label })}
+          </button>
+        ) : <span />}
+        {chapterIndex !== -1 && chapterIndex < chapters.length - 1 ? (
+          <button onClick={() => openChapter(chapters[chapterIndex + 1].chapter)} className="text-blue-600 hover:underline">
+            {t('common.chapter', { label: chapters[chapterIndex + 1].label })} →
+          </button>
+        ) : <span />}
+      </div>
+    );
 
-    const scrollToChapter = (chapterIndex) => {
-      setSelectedChapter(chapterIndex);
-      const element = document.getElementById(`chapter-${chapterIndex}`);
-      if (element) {
-        element.scrollIntoView({ behavior: 'smooth', block: 'start' });
-      }
+    const activeLink = hoveredLink || pinnedLink;
+    const togglePin = (link) => setPinnedLink(prev => (
+      prev && prev.position === link.position && prev.side === link.side && prev.index === link.index ? null : link
+    ));
+
+    // Is this token linked to the hovered or pinned token on the other side?
+    const isLinked = (position, side, index) => {
+      if (!activeLink || activeLink.position !== position || activeLink.side === side) return false;
+      const alignment = translationLinks.get(position);
+      return side === 'ka'
+        ? alignment.greek[activeLink.index].words.includes(index)
+        : alignment.links[activeLink.index].includes(index);
     };
 
-    console.log('Displaying manuscript:', currentManuscript.title);
-    console.log('Number of paragraphs:', currentManuscript.paragraphs.length);
-    console.log('Chapters found:', chapters);
+    const tokenHighlight = (word) => {
+      if (grammarHighlight === 'pos') return `${POS_STYLES[parseGram(word.grammar).pos] || ''} rounded`;
+      if (grammarHighlight && gramHasFeature(word.grammar, grammarHighlight)) return 'bg-purple-200 rounded';
+      return '';
+    };
 
     return (
       <div className="bg-gray-50 min-h-screen">
@@ -360,21 +491,75 @@ const App = () => {
               onClick={goHome}
               className="text-blue-600 hover:text-blue-800 hover:underline"
             >
-              ← უკან საწყისზე
+              {t('reader.backHome')}
             </button>
 
+            <div className="flex items-center space-x-3 text-sm">
+              <span className="font-medium text-gray-700">{t('reader.columns')}</span>
+              {TEXT_COLUMNS.map(id => (
+                <label key={id} className="flex items-center space-x-1 cursor-pointer">
+                  <input
+                    type="checkbox"
+                    checked={visibleColumns.includes(id)}
+                    onChange={() => toggleColumn(id)}
+                  />
+                  <span>{t(`languages.${id}`)}</span>
+                </label>
+              ))}
+            </div>
+
+            <label className="flex items-center space-x-1 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={showApparatus}
+                onChange={(e) => setShowApparatus(e.target.checked)}
+              />
+              <span className="font-medium text-gray-700">{t('reader.apparatus')}</span>
+            </label>
+
+            <label className="flex items-center space-x-1 text-sm cursor-pointer">
+              <input
+                type="checkbox"
+                checked={editMode}
+                onChange={(e) => {
+                  setEditMode(e.target.checked);
+                  setEditingToken(null);
+                }}
+              />
+              <span className="font-medium text-gray-700">{t('reader.edit')}</span>
+            </label>
+
+            <label className="flex items-center space-x-2 text-sm">
+              <span className="font-medium text-gray-700">{t('reader.grammar')}</span>
+              <select
+                value={grammarHighlight}
+                onChange={(e) => setGrammarHighlight(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded"
+              >
+                <option value="">{t('reader.noHighlight')}</option>
+                <option value="pos">{t('reader.posColours')}</option>
+                {FEATURES.map(feature => (
+                  <optgroup key={feature.id} label={feature[locale]}>
+                    {Object.entries(feature.values).map(([code, value]) => (
+                      <option key={code} value={`${feature.id}:${code}`}>{value[locale]} ({code})</option>
+                    ))}
+                  </optgroup>
+                ))}
+              </select>
+            </label>
+
             {chapters.length > 0 && (
               <div className="flex items-center space-x-2">
-                <label className="text-sm font-medium text-gray-700">თავი:</label>
+                <label className="text-sm font-medium text-gray-700">{t('reader.chapter')}</label>
                 <select
-                  value={selectedChapter}
-                  onChange={(e) => scrollToChapter(e.target.value)}
+                  value={currentChapter?.chapter ?? ''}
+                  onChange={(e) => openChapter(e.target.value)}
                   className="px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 outline-none"
                 >
-                  <option value="">აირჩიეთ თავი</option>
-                  {chapters.map((ch, idx) => (
-                    <option key={idx} value={ch}>
-                      თავი {ch}
+                  <option value="">{t('reader.chooseChapter')}</option>
+                  {chapters.map(ch => (
+                    <option key={ch.chapter} value={ch.chapter}>
+                      {t('common.chapter', { label: ch.label })}
                     </option>
                   ))}
                 </select>
@@ -382,111 +567,208 @@ const App = () => {
             )}
           </div>
 
+          {grammarHighlight === 'pos' && (
+            <div className="mb-4 flex flex-wrap gap-2 text-xs">
+              {Object.entries(FEATURES.find(feature => feature.id === 'pos').values).map(([code, value]) => (
+                <span key={code} className={`${POS_STYLES[code]} rounded px-2 py-0.5`}>{value[locale]}</span>
+              ))}
+            </div>
+          )}
+
+          {visibleColumns.includes('georgian') && visibleColumns.includes('greek') && translationLinks.size > 0 && (
+            <div className="mb-4 flex flex-wrap gap-4 text-xs text-gray-600">
+              <span>{t('reader.linkHint')}</span>
+              <span className="underline decoration-dotted decoration-green-600 underline-offset-4">{t('reader.addition')}</span>
+              <span className="text-red-700 underline decoration-dotted decoration-red-500 underline-offset-4">{t('reader.omission')}</span>
+            </div>
+          )}
+
           <div className="grid grid-cols-12 gap-4">
             {/* Left Sidebar */}
             <div className="col-span-12 lg:col-span-3">
               <div className="bg-white rounded-lg shadow p-4 text-sm sticky top-4">
-                <div className="mb-3">
-                  <strong>დასახელება:</strong>
-                  <p className="text-gray-700 mt-1">{currentManuscript.title}</p>
-                </div>
-                {currentManuscript.editor && (
-                  <div className="mb-3">
-                    <strong>რედაქტორი:</strong>
-                    <p className="text-gray-700 mt-1">{currentManuscript.editor}</p>
-                  </div>
-                )}
-                {currentManuscript.email && (
-                  <div className="mb-3">
-                    <strong>ელ-ფოსტა:</strong>
-                    <p className="text-gray-700 mt-1">{currentManuscript.email}</p>
-                  </div>
-                )}
-                {currentManuscript.publisher && (
-                  <div className="mb-3">
-                    <strong>გამომცემელი:</strong>
-                    <p className="text-gray-700 mt-1">{currentManuscript.publisher}</p>
-                  </div>
-                )}
-                {currentManuscript.pubPlace && (
-                  <div className="mb-3">
-                    <strong>გამოცემის ადგილი:</strong>
-                    <p className="text-gray-700 mt-1">{currentManuscript.pubPlace}</p>
-                  </div>
-                )}
-                {currentManuscript.publishDate && (
-                  <div className="mb-3">
-                    <strong>თარიღი:</strong>
-                    <p className="text-gray-700 mt-1">{currentManuscript.publishDate}</p>
+                {METADATA_FIELDS.filter(field => currentManuscript[field]).map(field => (
+                  <div key={field} className="mb-3">
+                    <strong>{t(`metadata.${field}`)}</strong>
+                    <p className={`text-gray-700 mt-1 ${field === 'additionalDetail' ? 'whitespace-pre-line' : ''}`}>{currentManuscript[field]}</p>
                   </div>
-                )}
-                {currentManuscript.sourceStatus && (
-                  <div className="mb-3">
-                    <strong>წყარო:</strong>
-                    <p className="text-gray-700 mt-1">{currentManuscript.sourceStatus}</p>
-                  </div>
-                )}
-                {currentManuscript.location && (
-                  <div className="mb-3">
-                    <strong>ადგილმდებარეობა:</strong>
-                    <p className="text-gray-700 mt-1">{currentManuscript.location}</p>
-                  </div>
-                )}
-                {currentManuscript.date && (
-                  <div className="mb-3">
-                    <strong>დათარიღება:</strong>
-                    <p className="text-gray-700 mt-1">{currentManuscript.date}</p>
-                  </div>
-                )}
-                {currentManuscript.additionalDetail && (
-                  <div className="mb-3">
-                    <strong>დამატებითი ინფორმაცია:</strong>
-                    <p className="text-gray-700 mt-1 whitespace-pre-line">{currentManuscript.additionalDetail}</p>
-                  </div>
-                )}
+                ))}
 
-                {/* Chapter Navigation in Sidebar */}
+                {/* Table of contents, with the chapters and verses this witness lacks */}
                 {chapters.length > 0 && (
                   <div className="mt-6 pt-4 border-t border-gray-200">
-                    <strong className="block mb-2">თავები:</strong>
+                    <strong className="block mb-2">{t('reader.contents')}</strong>
                     <div className="space-y-1">
-                      {chapters.map((ch, idx) => (
+                      {contents.map(row => (row.index === -1 ? (
+                        <div key={row.chapter} className="px-2 py-1 text-sm text-gray-400">
+                          {t('reader.lacuna', { label: row.label })}
+                        </div>
+                      ) : (
                         <button
-                          key={idx}
-                          onClick={() => scrollToChapter(ch)}
-                          className="block w-full text-left px-2 py-1 text-sm text-blue-600 hover:bg-blue-50 rounded transition-colors"
+                          key={row.chapter}
+                          onClick={() => openChapter(row.chapter)}
+                          className={`block w-full text-left px-2 py-1 text-sm rounded transition-colors ${
+                            chapters[row.index] === currentChapter ? 'bg-blue-100 text-blue-800' : 'text-blue-600 hover:bg-blue-50'
+                          }`}
                         >
-                          თავი {ch}
+                          {t('common.chapter', { label: row.label })}
+                          {row.missing.length > 0 && (
+                            <span className="block text-xs text-gray-500">{t('reader.missingVerses', { ranges: numberRanges(row.missing) })}</span>
+                          )}
                         </button>
-                      ))}
+                      )))}
                     </div>
                   </div>
                 )}
+
+                {/* TEI export */}
+                <div className="mt-6 pt-4 border-t border-gray-200">
+                  <strong className="block mb-2">{t('reader.export')}</strong>
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={() => downloadFile(`${currentManuscript.siglum}.tei.xml`, manuscriptToTei(currentManuscript), 'application/xml')}
+                      className="text-sm text-blue-600 hover:underline"
+                    >
+                      TEI P5 XML
+                    </button>
+                    <button onClick={() => setCiting({ position: null })} className="text-sm text-blue-600 hover:underline">
+                      {t('cite.action')}
+                    </button>
+                  </div>
+                </div>
+
+                <VerseRangeExport
+                  key={`${currentManuscript.siglum}:${currentChapter?.chapter}`}
+                  manuscript={currentManuscript}
+                  chapter={currentChapter}
+                />
+
+                {/* Critical apparatus export */}
+                <div className="mt-6 pt-4 border-t border-gray-200">
+                  <strong className="block mb-2">{t('reader.apparatusExport')}</strong>
+                  <div className="flex space-x-3">
+                    <button
+                      onClick={() => downloadApparatus(currentManuscript, 'text')}
+                      className="text-sm text-blue-600 hover:underline"
+                    >
+                      {t('reader.apparatusText')}
+                    </button>
+                    <button
+                      onClick={() => downloadApparatus(currentManuscript, 'tei')}
+                      className="text-sm text-blue-600 hover:underline"
+                    >
+                      TEI XML
+                    </button>
+                  </div>
+                  {apparatusError && <p className="mt-2 text-xs text-red-600">{apparatusError}</p>}
+                </div>
+
+                {/* Local annotation corrections */}
+                {(editMode || currentDiff.length > 0) && (
+                  <EditReview
+                    diff={currentDiff}
+                    exportNote={editExportNote}
+                    onOpen={(change) => {
+                      setEditMode(true);
+                      setEditingToken({ siglum: currentManuscript.siglum, position: change.position, wordIndex: change.wordIndex });
+                      openVerse(currentManuscript, change.position, change.wordIndex);
+                    }}
+                    onRevert={(change) => saveTokenEdit(change.position, change.wordIndex, { [change.field]: change.from })}
+                    onDiscard={discardEdits}
+                    onExport={(format) => downloadCorrected(currentEntry, format)}
+                  />
+                )}
+
+                {/* Annotation merge report */}
+                {currentEntry?.mergeSummary && (
+                  <div className="mt-6 pt-4 border-t border-gray-200">
+                    <strong className="block mb-2">{t('merge.title')}</strong>
+                    <ul className="text-gray-700 space-y-1">
+                      {['matched', 'unmatchedRows', 'unmatchedTokens', 'conflicts'].map(key => (
+                        <li key={key}>{t(`merge.${key}`, { count: currentEntry.mergeSummary[key] })}</li>
+                      ))}
+                    </ul>
+                    {!mergeReports[currentEntry.siglum] ? (
+                      <button
+                        onClick={() => showMergeReport(currentEntry)}
+                        className="mt-2 block text-sm text-blue-600 hover:underline"
+                      >
+                        {t('merge.details')}
+                      </button>
+                    ) : (
+                      <>
+                        {mergeReports[currentEntry.siglum].conflicts.length > 0 && (
+                          <details className="mt-2">
+                            <summary className="cursor-pointer text-blue-600">{t('merge.showConflicts')}</summary>
+                            <ul className="mt-1 space-y-1 text-xs text-gray-600 max-h-64 overflow-y-auto">
+                              {mergeReports[currentEntry.siglum].conflicts.slice(0, REPORT_PREVIEW_LIMIT).map((item, idx) => (
+                                <li key={idx}>
+                                  {item.verse} · {item.form} · {item.field}: {item.xml} → {item.csv} (CSV {item.line})
+                                </li>
+                              ))}
+                            </ul>
+                          </details>
+                        )}
+                        {mergeReports[currentEntry.siglum].unmatchedRows.length > 0 && (
+                          <details className="mt-2">
+                            <summary className="cursor-pointer text-blue-600">{t('merge.showUnmatched')}</summary>
+                            <ul className="mt-1 space-y-1 text-xs text-gray-600 max-h-64 overflow-y-auto">
+                              {mergeReports[currentEntry.siglum].unmatchedRows.slice(0, REPORT_PREVIEW_LIMIT).map((item, idx) => (
+                                <li key={idx}>CSV {item.line} · {item.verse || '—'} · {item.form}</li>
+                              ))}
+                            </ul>
+                          </details>
+                        )}
+                      </>
+                    )}
+                    <button
+                      onClick={() => downloadMergeReport(currentEntry)}
+                      className="mt-2 text-sm text-blue-600 hover:underline"
+                    >
+                      {t('merge.download')}
+                    </button>
+                    {mergeReportError && <p className="mt-2 text-xs text-red-600">{mergeReportError}</p>}
+                  </div>
+                )}
               </div>
             </div>
 
             {/* Center */}
             <div className="col-span-12 lg:col-span-6">
-              <div className="grid grid-cols-2 gap-4 mb-4">
-                <div><h1 className="text-2xl font-bold">ქართული</h1></div>
-                <div><h1 className="text-2xl font-bold">ბერძნული</h1></div>
+              <div className={`grid ${GRID_COLUMNS[visibleColumns.length]} gap-4 mb-4`}>
+                {TEXT_COLUMNS.filter(id => visibleColumns.includes(id)).map(id => (
+                  <div key={id}><h1 className="text-2xl font-bold">{t(`languages.${id}`)}</h1></div>
+                ))}
               </div>
 
+              {currentChapter && <ChapterPager />}
+
+              {route.chapter !== undefined && !currentChapter && chapters.length > 0 && (
+                <div className="bg-gray-100 border border-gray-200 rounded-lg p-6 mb-6 text-gray-700">
+                  {t('reader.chapterLost', { chapter: route.chapter })}
+                </div>
+              )}
+
+              {currentChapter && currentChapter.header === null && (
+                <div className="mb-6 border-b-2 border-gray-300 pb-2">
+                  <h2 className="text-xl font-semibold text-gray-800 text-center">{t('common.chapter', { label: currentChapter.label })}</h2>
+                </div>
+              )}
+
               {currentManuscript.paragraphs.length > 0 ? (
-                currentManuscript.paragraphs.map((para, idx) => {
-                  // Check if this is a chapter header
-                  const isChapter = isChapterHeader(para);
+                visiblePositions.map(idx => {
+                  const para = currentManuscript.paragraphs[idx];
 
-                  if (isChapter) {
+                  if (idx === currentChapter?.header) {
                     return (
                       <div
                         key={idx}
-                        id={`chapter-${para.index}`}
+                        id={`para-${idx}`}
                         className="mb-6 mt-8 scroll-mt-4"
                       >
                         <div className="border-b-2 border-gray-300 pb-2">
                           <h2 className="text-xl font-semibold text-gray-800 text-center">
-                            თავი {para.index}
+                            {t('common.chapter', { label: para.index })}
                           </h2>
                         </div>
                       </div>
@@ -495,75 +777,192 @@ const App = () => {
 
                   // Regular paragraph
                   return (
-                    <div key={idx} className="mb-6">
-                      <div className="font-bold text-gray-900 mb-2">{para.index}</div>
-
-                      <div className="grid grid-cols-2 gap-4">
-                        <div className="bg-white p-3 rounded">
-                          <p className="text-base leading-relaxed">
-                            {para.words && para.words.length > 0 ? (
-                              para.words.map((word, wIdx) => (
-                                <span key={wIdx} className="relative inline-block">
-                                  <span
-                                    className="cursor-help hover:bg-yellow-200 transition-colors px-0.5 relative"
-                                    onMouseEnter={() => setHoveredWord(`${idx}-${wIdx}`)}
-                                    onMouseLeave={() => setHoveredWord(null)}
-                                  >
-                                    {word.ogeo}
-                                    {hoveredWord === `${idx}-${wIdx}` && (word.lemma || word.grammar || word.english || word.greek) && (
-                                      <span className="absolute z-50 bottom-full left-0 mb-2 px-3 py-2 bg-gray-900 text-white text-xs rounded shadow-lg whitespace-nowrap pointer-events-none">
-                                        {word.lemma && <div><strong>Lemma:</strong> {word.lemma}</div>}
-                                        {word.grammar && <div><strong>Grammar:</strong> {word.grammar}</div>}
-                                        {word.english && <div><strong>English:</strong> {word.english}</div>}
-                                        {word.greek && <div><strong>Greek:</strong> {word.greek}</div>}
-                                      </span>
-                                    )}
+                    <div key={idx} id={`para-${idx}`} className="mb-6 scroll-mt-4">
+                      <div className="group font-bold text-gray-900 mb-2">
+                        {para.index}
+                        {(notesByPosition.get(idx) || [])
+                          .filter(note => note.wordIndex === null)
+                          .map(note => <NoteMarker key={note.count} note={note} />)}
+                        <button
+                          onClick={() => setCiting({ position: idx })}
+                          className={`ml-2 text-xs font-normal text-blue-600 hover:underline ${citing?.position === idx ? '' : 'opacity-0 group-hover:opacity-100 focus:opacity-100'}`}
+                        >
+                          {t('cite.action')}
+                        </button>
+                      </div>
+
+                      <div className={`grid ${GRID_COLUMNS[visibleColumns.length]} gap-4`}>
+                        {visibleColumns.includes('georgian') && (
+                          <div className="bg-white p-3 rounded">
+                            <p className="text-base leading-relaxed">
+                              {para.words && para.words.length > 0 ? (
+                                para.words.map((word, wIdx) => (
+                                  <span key={wIdx} className="relative inline-block">
+                                    <span
+                                      className={`cursor-help hover:bg-yellow-200 transition-colors px-0.5 relative ${
+                                        editing?.position === idx && editing.wordIndex === wIdx ? 'bg-blue-200 rounded ring-2 ring-blue-500'
+                                          : focus && focus.position === idx && focus.wordIndex === wIdx ? 'bg-yellow-300 rounded ring-2 ring-yellow-500'
+                                            : isLinked(idx, 'ka', wIdx) ? 'bg-amber-200 rounded' : tokenHighlight(word)
+                                      } ${
+                                        translationLinks.has(idx) && (!word.greek || word.greek === NO_EQUIVALENT) ? 'underline decoration-dotted decoration-green-600 underline-offset-4' : ''
+                                      } ${
+                                        currentEdits?.[editKey(idx, wIdx)] ? 'border-b-2 border-blue-500' : ''
+                                      }`}
+                                      onMouseEnter={() => {
+                                        setHoveredWord(`${idx}-${wIdx}`);
+                                        setHoveredLink({ position: idx, side: 'ka', index: wIdx });
+                                      }}
+                                      onMouseLeave={() => {
+                                        setHoveredWord(null);
+                                        setHoveredLink(null);
+                                      }}
+                                      onClick={() => (editMode
+                                        ? setEditingToken({ siglum: currentManuscript.siglum, position: idx, wordIndex: wIdx })
+                                        : togglePin({ position: idx, side: 'ka', index: wIdx }))}
+                                    >
+                                      {word.ogeo}
+                                      {hoveredWord === `${idx}-${wIdx}` && (word.lemma || word.grammar || word.english || word.greek || word.armenian) && (
+                                        <span className="absolute z-50 bottom-full left-0 mb-2 px-3 py-2 bg-gray-900 text-white text-xs rounded shadow-lg whitespace-nowrap pointer-events-none">
+                                          {word.lemma && <div><strong>{t('tooltip.lemma')}</strong> {word.lemma}</div>}
+                                          {word.grammar && <div><strong>{t('tooltip.grammar')}</strong> {word.grammar}</div>}
+                                          {word.grammar && describeGram(word.grammar).map(({ feature, value }) => (
+                                            <div key={feature.id} className="pl-3 text-gray-300">
+                                              {feature[locale]}: {value[locale]}{locale !== 'en' && ` (${value.en})`}
+                                            </div>
+                                          ))}
+                                          {word.english && <div><strong>{t('tooltip.english')}</strong> {word.english}</div>}
+                                          {word.greek && <div><strong>{t('tooltip.greek')}</strong> {word.greek}</div>}
+                                          {word.armenian && <div><strong>{t('tooltip.armenian')}</strong> {word.armenian}</div>}
+                                        </span>
+                                      )}
+                                    </span>
+                                    {(notesByPosition.get(idx) || [])
+                                      .filter(note => note.wordIndex === wIdx)
+                                      .map(note => <NoteMarker key={note.count} note={note} />)}
+                                    {' '}
                                   </span>
-                                  {' '}
-                                </span>
-                              ))
-                            ) : (
-                              <span className="text-gray-400">{para.text || 'ტექსტი არ არის ხელმისაწვდომი'}</span>
-                            )}
-                          </p>
-                        </div>
+                                ))
+                              ) : (
+                                <span className="text-gray-400">{para.text || t('reader.noText')}</span>
+                              )}
+                            </p>
+                          </div>
+                        )}
+
+                        {visibleColumns.includes('greek') && (
+                          <div className="bg-yellow-50 p-3 rounded">
+                            <p className="text-base leading-relaxed italic">
+                              {translationLinks.has(idx) ? (
+                                translationLinks.get(idx).greek.map((token, gIdx) => (
+                                  <React.Fragment key={gIdx}>
+                                    <span
+                                      className={`cursor-pointer px-0.5 rounded hover:bg-yellow-200 ${
+                                        isLinked(idx, 'grc', gIdx) ? 'bg-amber-200' : ''
+                                      } ${
+                                        token.key && token.words.length === 0 ? 'text-red-700 underline decoration-dotted decoration-red-500 underline-offset-4' : ''
+                                      }`}
+                                      onMouseEnter={() => setHoveredLink({ position: idx, side: 'grc', index: gIdx })}
+                                      onMouseLeave={() => setHoveredLink(null)}
+                                      onClick={() => togglePin({ position: idx, side: 'grc', index: gIdx })}
+                                    >
+                                      {token.text}
+                                    </span>
+                                    {' '}
+                                  </React.Fragment>
+                                ))
+                              ) : (
+                                para.translation.trim() || '—'
+                              )}
+                            </p>
+                          </div>
+                        )}
+
+                        {visibleColumns.includes('armenian') && (
+                          <div className="bg-blue-50 p-3 rounded">
+                            <p className="text-base leading-relaxed">
+                              {armenianText(para.words) || '—'}
+                            </p>
+                          </div>
+                        )}
+                      </div>
 
-                        <div className="bg-yellow-50 p-3 rounded">
-                          <p className="text-base leading-relaxed italic">
-                            {para.translation || '—'}
-                          </p>
+                      {apparatusByPosition.has(idx) && (
+                        <div className="mt-2 px-3 py-2 border-l-2 border-gray-300 text-xs text-gray-600 space-y-0.5">
+                          {apparatusByPosition.get(idx).lacking.length > 0 && (
+                            <div className="italic">{t('reader.deest', { sigla: apparatusByPosition.get(idx).lacking.join(' ') })}</div>
+                          )}
+                          {apparatusByPosition.get(idx).entries.map((entry, entryIdx) => (
+                            <div key={entryIdx}>{formatEntry(entry)}</div>
+                          ))}
                         </div>
-                      </div>
+                      )}
                     </div>
                   );
                 })
               ) : (
                 <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6">
-                  <h3 className="text-lg font-semibold text-yellow-800 mb-2">ტექსტი ვერ მოიძებნა</h3>
+                  <h3 className="text-lg font-semibold text-yellow-800 mb-2">{t('reader.notFound')}</h3>
                   <p className="text-yellow-700 mb-2">
-                    XML ფაილი ვერ მოიძებნა ან არასწორი სტრუქტურის აქვს.
+                    {t('reader.notFoundDetail')}
                   </p>
                   <p className="text-sm text-yellow-600">
-                    გახსენით ბრაუზერის Console (F12) დამატებითი ინფორმაციისთვის.
+                    {t('reader.notFoundConsole')}
                   </p>
                 </div>
               )}
+
+              {currentChapter && <ChapterPager />}
             </div>
 
             {/* Right Sidebar */}
             <div className="col-span-12 lg:col-span-3">
-              <div className="bg-white rounded-lg shadow p-4 sticky top-4">
-                <h2 className="text-xl font-bold mb-4">კომენტარი</h2>
+              <div className="bg-white rounded-lg shadow p-4 sticky top-4 max-h-screen overflow-y-auto">
+                {citing && (
+                  <CitationPanel
+                    key={citing.position ?? 'manuscript'}
+                    manuscript={currentManuscript}
+                    position={citing.position}
+                    onClose={() => setCiting(null)}
+                  />
+                )}
+                {editing && (
+                  <AnnotationEditor
+                    key={editKey(editing.position, editing.wordIndex)}
+                    word={currentManuscript.paragraphs[editing.position].words[editing.wordIndex]}
+                    original={sourceManuscript.paragraphs[editing.position].words[editing.wordIndex]}
+                    verse={currentManuscript.paragraphs[editing.position].index}
+                    suggestions={annotationSuggestions}
+                    onSave={(values) => saveTokenEdit(editing.position, editing.wordIndex, values)}
+                    onClose={() => setEditingToken(null)}
+                  />
+                )}
+                <h2 className="text-xl font-bold mb-4">{t('reader.commentary')}</h2>
                 {currentManuscript.notes && currentManuscript.notes.length > 0 ? (
                   <div className="space-y-3 text-sm">
-                    {currentManuscript.notes.map((note, idx) => (
-                      <p key={idx} className="text-gray-700">
-                        {note.count}. {note.note}
+                    {currentManuscript.notes.map(note => (
+                      <p
+                        key={note.count}
+                        id={`note-${note.count}`}
+                        className={`text-gray-700 scroll-mt-4 rounded px-1 ${activeNote === note.count ? 'bg-yellow-100' : ''}`}
+                      >
+                        {note.position !== null ? (
+                          <button
+                            onClick={() => openVerse(currentManuscript, note.position, note.wordIndex)}
+                            className="text-blue-600 hover:underline"
+                            title={t('reader.showInText')}
+                          >
+                            {note.count}. {currentManuscript.paragraphs[note.position].index}
+                            {note.wordIndex !== null && ` (${currentManuscript.paragraphs[note.position].words[note.wordIndex].ogeo})`}
+                          </button>
+                        ) : (
+                          <span>{note.count}.</span>
+                        )}
+                        {' '}{note.note}
                       </p>
                     ))}
                   </div>
                 ) : (
-                  <p className="text-gray-500 text-sm">კომენტარები არ არის</p>
+                  <p className="text-gray-500 text-sm">{t('reader.noNotes')}</p>
                 )}
               </div>
             </div>
@@ -576,42 +975,91 @@ const App = () => {
   const SearchView = () => (
     <div className="bg-gray-50 min-h-screen">
       <div className="max-w-6xl mx-auto px-4 py-8">
-        {searchResults.length > 0 ? (
-          searchResults.map((result, idx) => (
-            <div key={idx} className="bg-white rounded-lg shadow-md mb-6 p-6">
-              <h4 className="text-lg font-semibold mb-4">
-                ტექსტში:{' '}
-                <button
-                  onClick={() => viewManuscript(result.manuscript)}
-                  className="text-blue-600 hover:text-blue-800 hover:underline"
-                >
-                  {result.manuscript.title}
+        <SearchForm
+          key={`${searchQuery}|${searchOptions.regex}|${searchOptions.wholeWord}|${searchOptions.fuzzy}`}
+          initialQuery={searchQuery}
+          initialOptions={searchOptions}
+          onSearch={handleSearch}
+        />
+
+        {searchError ? (
+          <div className="bg-red-50 border border-red-200 rounded-lg p-6 text-center">
+            <p className="text-red-800">{searchError}</p>
+          </div>
+        ) : searchResults.length > 0 ? (
+          <>
+            <div className="flex items-center justify-end space-x-4 mb-4 text-sm">
+              <div className="flex items-center space-x-2 mr-auto">
+                <span className="text-gray-700">{t('reader.export')}</span>
+                <button onClick={() => downloadSearchResults('csv')} className="text-blue-600 hover:underline">CSV</button>
+                <button onClick={() => downloadSearchResults('json')} className="text-blue-600 hover:underline">JSON</button>
+                <button onClick={() => downloadSearchResults('html')} className="text-blue-600 hover:underline" title={t('export.htmlHint')}>
+                  {t('export.html')}
                 </button>
-                {' '}ნაპოვნია {result.count} შემთხვევა:
-              </h4>
-
-              <div className="space-y-2">
-                {result.results.map((item, itemIdx) => (
-                  <div key={itemIdx} className="grid grid-cols-12 gap-2 py-2 border-b border-gray-100 last:border-0">
-                    <div className="col-span-5 text-right text-gray-600">{item.leftContext}</div>
-                    <div className="col-span-2 text-center">
-                      <button
-                        onClick={() => viewManuscript(result.manuscript)}
-                        className="text-blue-600 hover:text-blue-800 font-semibold"
-                      >
-                        {item.word}
-                      </button>
-                    </div>
-                    <div className="col-span-5 text-left text-gray-600">{item.rightContext}</div>
-                  </div>
-                ))}
               </div>
+              <label className="flex items-center space-x-2">
+                <span className="text-gray-700">{t('search.context')}</span>
+                <select
+                  value={kwicWidth}
+                  onChange={(e) => setKwicWidth(Number(e.target.value))}
+                  className="px-2 py-1 border border-gray-300 rounded"
+                >
+                  {[1, 2, 3, 5, 8, 10].map(width => (
+                    <option key={width} value={width}>{t('search.contextWords', { count: width })}</option>
+                  ))}
+                </select>
+              </label>
+              <label className="flex items-center space-x-2">
+                <span className="text-gray-700">{t('search.sort')}</span>
+                <select
+                  value={kwicSort}
+                  onChange={(e) => setKwicSort(e.target.value)}
+                  className="px-2 py-1 border border-gray-300 rounded"
+                >
+                  <option value="">{t('search.sortText')}</option>
+                  <option value="left">{t('search.sortLeft')}</option>
+                  <option value="right">{t('search.sortRight')}</option>
+                </select>
+              </label>
             </div>
-          ))
+            {searchExportError && <p className="mb-4 text-xs text-red-600">{searchExportError}</p>}
+            {searchResults.map((result, idx) => (
+              <div key={idx} className="bg-white rounded-lg shadow-md mb-6 p-6">
+                <h4 className="text-lg font-semibold mb-4">
+                  {t('search.inText')}{' '}
+                  <button
+                    onClick={() => viewManuscript(result.manuscript)}
+                    className="text-blue-600 hover:text-blue-800 hover:underline"
+                  >
+                    {result.manuscript.title}
+                  </button>
+                  {' '}{t('search.found', { count: result.count })}
+                </h4>
+
+                <div className="space-y-2">
+                  {sortKwic(result.results, kwicSort).map((item, itemIdx) => (
+                    <div key={itemIdx} className="grid grid-cols-12 gap-2 py-2 border-b border-gray-100 last:border-0">
+                      <div className="col-span-1 text-xs text-gray-400 self-center">{item.paragraphIndex}</div>
+                      <div className="col-span-4 text-right text-gray-600">{item.leftContext}</div>
+                      <div className="col-span-2 text-center">
+                        <button
+                          onClick={() => openVerse(result.manuscript, item.position, item.wordIndex)}
+                          className="text-blue-600 hover:text-blue-800 font-semibold"
+                        >
+                          {item.word}
+                        </button>
+                      </div>
+                      <div className="col-span-5 text-left text-gray-600">{item.rightContext}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </>
         ) : (
           <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-6 text-center">
             <p className="text-yellow-800">
-              სიტყვა <strong>"{searchQuery}"</strong> არ მოიძებნა
+              {t('search.notFound', { query: <strong>"{searchQuery}"</strong> })}
             </p>
           </div>
         )}
@@ -623,50 +1071,84 @@ const App = () => {
     <div className="bg-gray-50 min-h-screen">
       <div className="max-w-5xl mx-auto px-4 py-8">
         <div className="bg-white rounded-lg shadow-md p-8">
-          <h2 className="text-2xl font-bold mb-4">პროექტის შესახებ</h2>
+          <h2 className="text-2xl font-bold mb-4">{t('about.title')}</h2>
           <div className="prose max-w-none space-y-4 text-gray-700">
-            <p>
-              პროექტი „ტობის წიგნის მრავალენოვანი ანოტირებული ელექტრონული პარალელური კორპუსული გამოცემა"
-              დაფინანსებულია შოთა რუსთაველის საქართველოს ეროვნული სამეცნიერო ფონდის ახალგაზრდა მეცნიერთა
-              კვლევების 2019 წლის გრანტით (YS-19-165).
-            </p>
-            <p>
-              პროექტის ფარგლებში მომზადდა ტობის წიგნის ქართული, ბერძნული და სომხური ვერსიების პარალელური
-              ელექტრონული გამოცემა, რომელიც, ამავდროულად, იქნა ანოტირებული (თითოეულ სიტყვას მიეთითა ლემა,
-              გრამატიკული ფორმა და ინგლისური თარგმანი).
-            </p>
-            <h3 className="text-xl font-bold mt-6">ტობის წიგნის ტექსტუალური ისტორია</h3>
-            <p>
-              ტობის წიგნი ბიბლიის იმ წიგნთაგანია, რომელიც ებრაულ კანონში არ შესულა. ბერძნულად ჩვენამდე
-              ტობის წიგნმა სამი ტექსტუალური ფორმით მოაღწია.
-            </p>
+            <p>{t('about.funding')}</p>
+            <p>{t('about.edition')}</p>
+            <h3 className="text-xl font-bold mt-6">{t('about.historyTitle')}</h3>
+            <p>{t('about.history')}</p>
           </div>
         </div>
       </div>
     </div>
   );
 
+  const LoadingPanel = () => (
+    <div className="py-24 text-center">
+      {loadError ? (
+        <p className="text-red-700">{t('common.loadFailed', { error: loadError })}</p>
+      ) : (
+        <>
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
+          <p className="text-gray-600">{t('common.loading')}</p>
+        </>
+      )}
+    </div>
+  );
+
   if (loading) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
         <div className="text-center">
           <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-blue-600 mx-auto mb-4"></div>
-          <p className="text-gray-600">იტვირთება...</p>
+          <p className="text-gray-600">{t('common.loading')}</p>
         </div>
       </div>
     );
   }
 
   return (
-    <div className="min-h-screen bg-gray-50" style={{ fontFamily: "'Noto Sans Georgian', sans-serif" }}>
-      <Navigation />
-      <main>
-        {view === 'home' && <HomeView />}
-        {view === 'manuscript' && <ManuscriptView />}
-        {view === 'search' && <SearchView />}
-        {view === 'about' && <AboutView />}
-      </main>
-    </div>
+    <I18nContext.Provider value={i18n}>
+      <div className="min-h-screen bg-gray-50" style={{ fontFamily: "'Noto Sans Georgian', sans-serif" }}>
+        <Navigation
+          key={searchQuery}
+          query={searchQuery}
+          searchIndex={searchIndex}
+          onFocusSearch={() => setSuggestionsWanted(true)}
+          onNavigate={navigate}
+          onSearch={(query) => handleSearch(query)}
+        />
+        <ConnectionStatus offline={offline} updateReady={updateReady} onUpdate={applyUpdate} />
+        <main>
+          {view === 'home' && <HomeView />}
+          {view === 'manuscript' && (currentEntry && !currentManuscript ? <LoadingPanel /> : manuscriptView())}
+          {view === 'search' && (allLoaded ? <SearchView /> : <LoadingPanel />)}
+          {view === 'synopsis' && (allLoaded ? <SynopticView manuscripts={manuscripts} onOpenVerse={openVerse} /> : <LoadingPanel />)}
+          {view === 'glossary' && (allLoaded ? (
+            <GlossaryView
+              manuscripts={manuscripts}
+              selectedLemma={route.lemma}
+              onSelectLemma={(lemma) => navigate({ view: 'glossary', lemma })}
+              onOpenVerse={openVerse}
+            />
+          ) : <LoadingPanel />)}
+          {view === 'equivalents' && (allLoaded ? (
+            <EquivalenceView
+              key={`${route.greek}|${route.lemma}`}
+              manuscripts={manuscripts}
+              greek={route.greek}
+              lemma={route.lemma}
+              onLookup={(lookup) => navigate({ view: 'equivalents', ...lookup })}
+              onOpenVerse={openVerse}
+            />
+          ) : <LoadingPanel />)}
+          {view === 'stats' && (allLoaded ? <StatsView manuscripts={manuscripts} /> : <LoadingPanel />)}
+          {view === 'catalogue' && <CatalogueView catalogue={catalogue} onOpenManuscript={viewManuscript} />}
+          {view === 'map' && <MapView catalogue={catalogue} onOpenManuscript={viewManuscript} />}
+          {view === 'about' && <AboutView />}
+        </main>
+      </div>
+    </I18nContext.Provider>
   );
 };
 
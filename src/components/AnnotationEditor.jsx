@@ -0,0 +1,78 @@
+import React, { useState } from 'react';
+import { ANNOTATION_FIELDS } from '../lib/annotations';
+import { describeGram, parseGram } from '../lib/tagset';
+import { useI18n } from '../lib/i18n';
+
+// Form for one token's annotation. `original` is the token as the corpus has it,
+// `word` as currently edited; lemmas and tags already in use are offered as suggestions.
+const AnnotationEditor = ({ word, original, verse, suggestions, onSave, onClose }) => {
+  const { locale, t } = useI18n();
+  const [values, setValues] = useState(() => Object.fromEntries(ANNOTATION_FIELDS.map(({ field }) => [field, word[field]])));
+  const gram = parseGram(values.grammar);
+
+  const update = (field, value) => setValues(prev => ({ ...prev, [field]: value }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(Object.fromEntries(Object.entries(values).map(([field, value]) => [field, value.trim()])));
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="mb-6 pb-4 border-b border-gray-200 space-y-2 text-sm">
+      <div className="flex items-baseline justify-between">
+        <h2 className="text-lg font-bold">{word.ogeo}</h2>
+        <span className="text-gray-500">{verse}</span>
+      </div>
+
+      {ANNOTATION_FIELDS.map(({ field }) => (
+        <div key={field}>
+          <label className="block text-gray-700 mb-0.5">{t(`edits.fields.${field}`)}</label>
+          <input
+            type="text"
+            value={values[field]}
+            onChange={(e) => update(field, e.target.value)}
+            list={field === 'lemma' ? 'annotation-lemmas' : field === 'grammar' ? 'annotation-grams' : undefined}
+            className="w-full px-2 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 outline-none"
+          />
+          {values[field] !== original[field] && (
+            <p className="text-xs text-gray-500 mt-0.5">
+              {t('edits.inCorpus')} <span className="line-through">{original[field] || '—'}</span>
+            </p>
+          )}
+          {field === 'grammar' && values.grammar && (
+            <p className="text-xs text-gray-500 mt-0.5">
+              {describeGram(values.grammar).map(({ value }) => value[locale]).join(', ')}
+              {(!gram.pos || gram.unknown.length > 0) && (
+                <span className="block text-red-600">
+                  {!gram.pos && `${t('edits.unknownPos')} `}
+                  {gram.unknown.length > 0 && t('edits.unknownMarks', { marks: gram.unknown.join(', ') })}
+                </span>
+              )}
+            </p>
+          )}
+        </div>
+      ))}
+
+      <datalist id="annotation-lemmas">
+        {suggestions.lemmas.map(value => <option key={value} value={value} />)}
+      </datalist>
+      <datalist id="annotation-grams">
+        {suggestions.grams.map(value => <option key={value} value={value} />)}
+      </datalist>
+
+      <div className="flex items-center space-x-3 pt-1">
+        <button type="submit" className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700">{t('edits.save')}</button>
+        <button
+          type="button"
+          onClick={() => setValues(Object.fromEntries(ANNOTATION_FIELDS.map(({ field }) => [field, original[field]])))}
+          className="text-blue-600 hover:underline"
+        >
+          {t('edits.reset')}
+        </button>
+        <button type="button" onClick={onClose} className="text-gray-600 hover:underline">{t('edits.close')}</button>
+      </div>
+    </form>
+  );
+};
+
+export default AnnotationEditor;
@@ -0,0 +1,103 @@
+import React, { useMemo } from 'react';
+import { verseCoverage } from '../lib/stats';
+import { useI18n } from '../lib/i18n';
+
+const percent = (part, whole) => (whole > 0 ? Math.round((part / whole) * 100) : 0);
+
+const Field = ({ label, value }) => (value ? (
+  <div>
+    <dt className="font-medium text-gray-700">{label}</dt>
+    <dd className="text-gray-600 whitespace-pre-line">{value}</dd>
+  </div>
+) : null);
+
+const Stat = ({ label, value }) => (
+  <div className="bg-gray-50 rounded p-3 text-center">
+    <div className="text-xl font-bold text-gray-900">{value}</div>
+    <div className="text-xs text-gray-600">{label}</div>
+  </div>
+);
+
+// One bar per chapter; the filled part is the share of attested verses this witness has
+const CoverageChart = ({ coverage }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="flex items-end gap-1">
+      {[...coverage.entries()].map(([chapter, { present, total }]) => (
+        <div key={chapter} className="flex-1 text-center" title={t('catalogue.chapterCoverage', { chapter, present, total })}>
+          <div className="h-16 bg-gray-100 rounded-sm flex items-end">
+            <div
+              className={`w-full rounded-sm ${present === total ? 'bg-green-500' : present === 0 ? '' : 'bg-blue-400'}`}
+              style={{ height: `${percent(present, total)}%` }}
+            ></div>
+          </div>
+          <div className="text-xs text-gray-500 mt-1">{chapter}</div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+const CatalogueView = ({ catalogue, onOpenManuscript }) => {
+  const { t } = useI18n();
+  const coverage = useMemo(() => verseCoverage(catalogue), [catalogue]);
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-6xl mx-auto px-4 py-8 space-y-6">
+        <h1 className="text-3xl font-bold text-gray-900">{t('catalogue.title')}</h1>
+
+        {catalogue.map(entry => {
+          const { tokens, lemmas, annotated } = entry.stats;
+          const chapters = coverage.bySiglum.get(entry.siglum);
+          const present = [...chapters.values()].reduce((sum, chapter) => sum + chapter.present, 0);
+          const total = [...chapters.values()].reduce((sum, chapter) => sum + chapter.total, 0);
+
+          return (
+            <div key={entry.siglum} className="bg-white rounded-lg shadow-md p-6">
+              <div className="flex items-baseline justify-between mb-4">
+                <h2 className="text-2xl font-bold text-gray-900">
+                  <span className="text-blue-700 mr-3">{entry.siglum}</span>
+                  {entry.title}
+                </h2>
+                <button onClick={() => onOpenManuscript(entry)} className="text-blue-600 hover:underline">
+                  {t('catalogue.open')}
+                </button>
+              </div>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                <dl className="space-y-2 text-sm">
+                  <Field label={t('catalogue.idno')} value={entry.idno} />
+                  <Field label={t('catalogue.location')} value={entry.location} />
+                  <Field label={t('catalogue.origin')} value={entry.origin} />
+                  <Field label={t('catalogue.date')} value={entry.date} />
+                  <Field label={t('catalogue.description')} value={entry.additionalDetail} />
+                  {!entry.idno && !entry.location && !entry.date && !entry.additionalDetail && (
+                    <p className="text-gray-500">{t('catalogue.noDescription')}</p>
+                  )}
+                </dl>
+
+                <div className="space-y-4">
+                  <div className="grid grid-cols-3 gap-2">
+                    <Stat label={t('catalogue.tokens')} value={tokens} />
+                    <Stat label={t('catalogue.lemmas')} value={lemmas} />
+                    <Stat label={t('catalogue.annotated')} value={`${percent(annotated, tokens)}%`} />
+                  </div>
+                  <div>
+                    <div className="text-sm text-gray-700 mb-2">
+                      {t('catalogue.coverage', { present, total, percent: percent(present, total) })}
+                    </div>
+                    <CoverageChart coverage={chapters} />
+                  </div>
+                </div>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default CatalogueView;
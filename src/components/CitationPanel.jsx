@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { CITATION_FORMATS, citationData, citationFilename, formatCitation } from '../lib/citation';
+import { downloadFile } from '../lib/download';
+import { useI18n } from '../lib/i18n';
+
+// Citation of the open witness (`position` null) or of one of its verses, in each format,
+// with its deep link resolved against the address the edition is served from
+const CitationPanel = ({ manuscript, position, onClose }) => {
+  const { t } = useI18n();
+  const [format, setFormat] = useState('chicago');
+  const [copied, setCopied] = useState(false);
+
+  const data = citationData(manuscript, { position, siteUrl: new URL(import.meta.env.BASE_URL, window.location.href).href });
+  const text = formatCitation(data, format);
+  const { type } = CITATION_FORMATS.find(item => item.id === format);
+
+  const copy = async () => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopied(true);
+    } catch (err) {
+      console.error('Copying the citation failed:', err);
+    }
+  };
+
+  return (
+    <div className="mb-6 pb-4 border-b border-gray-200 space-y-2 text-sm">
+      <div className="flex items-baseline justify-between">
+        <h2 className="text-lg font-bold">{t('cite.title')}</h2>
+        <span className="text-gray-500">
+          {manuscript.siglum}{position !== null && ` ${manuscript.paragraphs[position].index}`}
+        </span>
+      </div>
+
+      <div className="flex flex-wrap gap-1" role="tablist">
+        {CITATION_FORMATS.map(item => (
+          <button
+            key={item.id}
+            role="tab"
+            aria-selected={format === item.id}
+            onClick={() => {
+              setFormat(item.id);
+              setCopied(false);
+            }}
+            className={`px-2 py-0.5 rounded ${format === item.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {item.label}
+          </button>
+        ))}
+      </div>
+
+      <textarea
+        readOnly
+        value={text}
+        rows={format === 'csl' ? 12 : 6}
+        onFocus={(e) => e.target.select()}
+        className={`w-full px-2 py-1 border border-gray-300 rounded bg-gray-50 text-gray-800 ${format === 'bibtex' || format === 'csl' ? 'font-mono text-xs' : ''}`}
+      />
+
+      <div className="flex space-x-3">
+        <button onClick={copy} className="text-blue-600 hover:underline">
+          {copied ? t('cite.copied') : t('cite.copy')}
+        </button>
+        {type && (
+          <button onClick={() => downloadFile(citationFilename(data, format), text, type)} className="text-blue-600 hover:underline">
+            {t('cite.download')}
+          </button>
+        )}
+        <button onClick={onClose} className="text-gray-600 hover:underline">
+          {t('edits.close')}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CitationPanel;
@@ -0,0 +1,38 @@
+import React from 'react';
+import { RefreshCw, WifiOff } from 'lucide-react';
+import { useI18n } from '../lib/i18n';
+
+// Bar under the navigation: the edition is being read from the offline copy, or a
+// newer version of the app or the manuscript data has been downloaded
+const ConnectionStatus = ({ offline, updateReady, onUpdate }) => {
+  const { t } = useI18n();
+
+  if (offline) {
+    return (
+      <div role="status" className="bg-amber-100 border-b border-amber-300 text-amber-900 text-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-1 flex items-center space-x-2">
+          <WifiOff className="w-4 h-4" />
+          <span>{t('offline.offline')}</span>
+        </div>
+      </div>
+    );
+  }
+
+  if (updateReady) {
+    return (
+      <div role="status" className="bg-blue-50 border-b border-blue-200 text-blue-900 text-sm">
+        <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-1 flex items-center space-x-2">
+          <RefreshCw className="w-4 h-4" />
+          <span>{t('offline.updateReady')}</span>
+          <button onClick={onUpdate} className="text-blue-700 font-semibold hover:underline">
+            {t('offline.reload')}
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return null;
+};
+
+export default ConnectionStatus;
@@ -0,0 +1,39 @@
+import React from 'react';
+import { useI18n } from '../lib/i18n';
+
+// Corrections kept in the browser, listed as a diff against the corpus, with export to the source formats
+const EditReview = ({ diff, exportNote, onOpen, onRevert, onDiscard, onExport }) => {
+  const { t } = useI18n();
+
+  return (
+    <div className="mt-6 pt-4 border-t border-gray-200">
+      <strong className="block mb-2">{t('edits.title', { count: diff.length })}</strong>
+      {diff.length === 0 ? (
+        <p className="text-gray-500">{t('edits.hint')}</p>
+      ) : (
+        <>
+          <ul className="space-y-1 text-xs max-h-64 overflow-y-auto">
+            {diff.map(change => (
+              <li key={`${change.key}-${change.field}`} className="flex items-start justify-between">
+                <button onClick={() => onOpen(change)} className="text-left hover:underline">
+                  <span className="text-gray-500">{change.verse} · {change.form} · {t(`edits.fields.${change.field}`)}:</span>{' '}
+                  <span className="bg-red-100 text-red-800 line-through px-0.5">{change.from || '∅'}</span>{' '}
+                  <span className="bg-green-100 text-green-800 px-0.5">{change.to || '∅'}</span>
+                </button>
+                <button onClick={() => onRevert(change)} className="ml-2 text-gray-400 hover:text-red-600" title={t('edits.revert')}>×</button>
+              </li>
+            ))}
+          </ul>
+          <div className="mt-2 flex flex-wrap gap-x-3">
+            <button onClick={() => onExport('csv')} className="text-sm text-blue-600 hover:underline">{t('edits.correctedCsv')}</button>
+            <button onClick={() => onExport('xml')} className="text-sm text-blue-600 hover:underline">{t('edits.correctedXml')}</button>
+            <button onClick={onDiscard} className="text-sm text-red-600 hover:underline">{t('edits.discardAll')}</button>
+          </div>
+        </>
+      )}
+      {exportNote && <p className="mt-2 text-xs text-gray-600">{exportNote}</p>}
+    </div>
+  );
+};
+
+export default EditReview;
@@ -0,0 +1,224 @@
+import React, { useMemo, useState } from 'react';
+import { NO_EQUIVALENT } from '../lib/annotations';
+import { georgianSources, greekHeadwords, greekRenderings } from '../lib/equivalents';
+import { kwicContext } from '../lib/search';
+import { useI18n } from '../lib/i18n';
+
+const EXAMPLE_PAGE = 50;
+const HEADWORD_LIMIT = 80;
+
+const armenianLabel = (value, t) => (value === NO_EQUIVALENT ? `${NO_EQUIVALENT} (${t('equivalents.noEquivalent')})` : value);
+
+// Rows of renderings with per-witness counts; clicking one narrows the examples to it
+const GroupTable = ({ title, groups, sigla, selected, onSelect, label = (group) => group.value, detail }) => {
+  const { t } = useI18n();
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-2">{title}</h3>
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-500">—</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-1 pr-3"></th>
+              <th className="py-1 pr-3 text-right">{t('equivalents.total')}</th>
+              {sigla.map(siglum => <th key={siglum} className="py-1 px-1 text-right">{siglum}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map(group => (
+              <tr
+                key={group.value}
+                onClick={() => onSelect(selected === group ? null : group)}
+                className={`border-b border-gray-100 cursor-pointer hover:bg-blue-50 ${selected === group ? 'bg-blue-100' : ''}`}
+              >
+                <td className="py-1 pr-3">
+                  <span className="font-medium">{label(group)}</span>
+                  {detail && <div className="text-xs text-gray-500">{detail(group)}</div>}
+                </td>
+                <td className="py-1 pr-3 text-right">{group.count}</td>
+                {sigla.map(siglum => (
+                  <td key={siglum} className="py-1 px-1 text-right text-gray-600">{group.bySiglum[siglum] || ''}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+const Examples = ({ occurrences, onOpenVerse }) => {
+  const { t } = useI18n();
+  const [limit, setLimit] = useState(EXAMPLE_PAGE);
+
+  return (
+    <div>
+      <h3 className="text-lg font-semibold mb-2">{t('equivalents.examples', { count: occurrences.length })}</h3>
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="text-left text-gray-600 border-b">
+            <th className="py-1 pr-2">{t('common.verse')}</th>
+            <th className="py-1 pr-2">{t('languages.greek')}</th>
+            <th className="py-1 pr-2">{t('languages.georgian')}</th>
+            <th className="py-1">{t('languages.armenian')}</th>
+          </tr>
+        </thead>
+        <tbody>
+          {occurrences.slice(0, limit).map(({ manuscript, position, wordIndex, word }) => {
+            const para = manuscript.paragraphs[position];
+            const context = kwicContext(para.words, wordIndex);
+            return (
+              <tr
+                key={`${manuscript.siglum}-${position}-${wordIndex}`}
+                onClick={() => onOpenVerse(manuscript, position, wordIndex)}
+                className="border-b border-gray-100 hover:bg-blue-50 cursor-pointer align-top"
+              >
+                <td className="py-1 pr-2 text-gray-500 whitespace-nowrap">{manuscript.siglum} {para.index}</td>
+                <td className="py-1 pr-2 italic">{word.greek}</td>
+                <td className="py-1 pr-2">
+                  {context.left.join(' ')} <strong className="text-blue-700">{word.ogeo}</strong> {context.right.join(' ')}
+                </td>
+                <td className="py-1">{armenianLabel(word.armenian, t)}</td>
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+      {occurrences.length > limit && (
+        <button onClick={() => setLimit(prev => prev + EXAMPLE_PAGE)} className="mt-3 text-sm text-blue-600 hover:underline">
+          {t('common.showMore', { count: occurrences.length - limit })}
+        </button>
+      )}
+    </div>
+  );
+};
+
+const EquivalenceView = ({ manuscripts, greek, lemma, onLookup, onOpenVerse }) => {
+  const { t } = useI18n();
+  const sigla = manuscripts.map(manuscript => manuscript.siglum);
+  const [mode, setMode] = useState(lemma ? 'georgian' : 'greek');
+  const [input, setInput] = useState(mode === 'georgian' ? lemma : greek);
+  const [selected, setSelected] = useState(null);
+
+  const headwords = useMemo(() => greekHeadwords(manuscripts).slice(0, HEADWORD_LIMIT), [manuscripts]);
+  const lemmas = useMemo(() => [...new Set(manuscripts.flatMap(manuscript => manuscript.paragraphs
+    .flatMap(para => para.words.map(word => word.lemma.trim()))))].filter(Boolean).sort((a, b) => a.localeCompare(b, 'ka')), [manuscripts]);
+
+  const renderings = useMemo(() => (greek ? greekRenderings(manuscripts, greek) : null), [manuscripts, greek]);
+  const sources = useMemo(() => (lemma ? georgianSources(manuscripts, lemma) : null), [manuscripts, lemma]);
+  const result = mode === 'greek' ? renderings : sources;
+
+  const switchMode = (next) => {
+    setMode(next);
+    setSelected(null);
+    setInput(next === 'georgian' ? lemma : greek);
+  };
+
+  // App remounts the view (via `key`) when the looked-up word changes
+  const lookup = (value) => onLookup(mode === 'greek' ? { greek: value } : { lemma: value });
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto px-4 py-8 space-y-6">
+        <div className="bg-white rounded-lg shadow-md p-6 space-y-4">
+          <div className="flex space-x-4 text-sm">
+            <button
+              onClick={() => switchMode('greek')}
+              className={`px-3 py-1 rounded ${mode === 'greek' ? 'bg-blue-600 text-white' : 'text-blue-600 hover:underline'}`}
+            >
+              {t('equivalents.greekToGeorgian')}
+            </button>
+            <button
+              onClick={() => switchMode('georgian')}
+              className={`px-3 py-1 rounded ${mode === 'georgian' ? 'bg-blue-600 text-white' : 'text-blue-600 hover:underline'}`}
+            >
+              {t('equivalents.lemmaToGreek')}
+            </button>
+          </div>
+
+          <form
+            onSubmit={(e) => {
+              e.preventDefault();
+              lookup(input.trim());
+            }}
+            className="flex items-center space-x-2"
+          >
+            <input
+              type="text"
+              value={input}
+              onChange={(e) => setInput(e.target.value)}
+              list={mode === 'georgian' ? 'equivalence-lemmas' : undefined}
+              placeholder={mode === 'greek' ? t('equivalents.greekPlaceholder') : t('equivalents.lemmaPlaceholder')}
+              className="flex-1 px-3 py-2 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+            />
+            <datalist id="equivalence-lemmas">
+              {lemmas.map(value => <option key={value} value={value} />)}
+            </datalist>
+            <button type="submit" className="bg-blue-600 text-white px-4 py-2 rounded hover:bg-blue-700">{t('common.search')}</button>
+          </form>
+
+          {mode === 'greek' && !greek && (
+            <div className="flex flex-wrap gap-2 text-sm">
+              {headwords.map(item => (
+                <button key={item.value} onClick={() => lookup(item.label)} className="px-2 py-0.5 bg-yellow-50 border border-yellow-200 rounded hover:bg-yellow-100">
+                  {item.label} <span className="text-gray-400">{item.count}</span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+
+        {result && (
+          <div className="bg-white rounded-lg shadow-md p-6 space-y-6">
+            {result.occurrences.length === 0 ? (
+              <p className="text-gray-500">{t('equivalents.noResults')}</p>
+            ) : (
+              <>
+                <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+                  {mode === 'greek' ? (
+                    <GroupTable
+                      title={t('equivalents.georgianRenderings')}
+                      groups={result.georgian}
+                      sigla={sigla}
+                      selected={selected}
+                      onSelect={setSelected}
+                      detail={(group) => group.forms.slice(0, 5).map(form => `${form.value} (${form.count})`).join(', ')}
+                    />
+                  ) : (
+                    <GroupTable
+                      title={t('equivalents.greekSources')}
+                      groups={result.greek}
+                      sigla={sigla}
+                      selected={selected}
+                      onSelect={setSelected}
+                      label={(group) => group.label}
+                    />
+                  )}
+                  <GroupTable
+                    title={t('equivalents.armenianRenderings')}
+                    groups={result.armenian}
+                    sigla={sigla}
+                    selected={selected}
+                    onSelect={setSelected}
+                    label={(group) => armenianLabel(group.value, t)}
+                  />
+                </div>
+                <Examples
+                  key={`${mode}|${selected?.value ?? ''}`}
+                  occurrences={selected ? selected.occurrences : result.occurrences}
+                  onOpenVerse={onOpenVerse}
+                />
+              </>
+            )}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default EquivalenceView;
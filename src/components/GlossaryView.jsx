@@ -0,0 +1,159 @@
+import React, { useMemo, useState } from 'react';
+import { buildGlossary } from '../lib/glossary';
+import { kwicContext } from '../lib/search';
+import { useI18n } from '../lib/i18n';
+
+const CONCORDANCE_PAGE = 200;
+
+const Counts = ({ items }) => (items.length > 0 ? (
+  <span>
+    {items.map((item, idx) => (
+      <React.Fragment key={item.value}>
+        {idx > 0 && ', '}
+        {item.value} <span className="text-gray-400">({item.count})</span>
+      </React.Fragment>
+    ))}
+  </span>
+) : <span className="text-gray-400">—</span>);
+
+const LemmaDetail = ({ entry, onOpenVerse }) => {
+  const { t } = useI18n();
+  const [limit, setLimit] = useState(CONCORDANCE_PAGE);
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-3xl font-bold text-gray-900">{entry.lemma}</h2>
+        <p className="text-sm text-gray-600 mt-1">{t('glossary.occurrences', { count: entry.count })}</p>
+      </div>
+
+      <dl className="grid grid-cols-1 md:grid-cols-3 gap-4 text-sm">
+        <div>
+          <dt className="font-medium text-gray-700">{t('languages.english')}</dt>
+          <dd><Counts items={entry.english} /></dd>
+        </div>
+        <div>
+          <dt className="font-medium text-gray-700">{t('languages.greek')}</dt>
+          <dd><Counts items={entry.greek} /></dd>
+        </div>
+        <div>
+          <dt className="font-medium text-gray-700">{t('languages.armenian')}</dt>
+          <dd><Counts items={entry.armenian} /></dd>
+        </div>
+      </dl>
+
+      <div>
+        <h3 className="text-lg font-semibold mb-2">{t('glossary.forms')}</h3>
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-600 border-b">
+              <th className="py-1 pr-4">{t('glossary.form')}</th>
+              <th className="py-1 pr-4">{t('glossary.count')}</th>
+              <th className="py-1">{t('glossary.grammar')}</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entry.forms.map(form => (
+              <tr key={form.form} className="border-b border-gray-100">
+                <td className="py-1 pr-4 font-medium">{form.form}</td>
+                <td className="py-1 pr-4 text-gray-600">{form.count}</td>
+                <td className="py-1 font-mono text-xs"><Counts items={form.grams} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <h3 className="text-lg font-semibold mb-2">{t('glossary.concordance')}</h3>
+        <table className="w-full text-sm">
+          <tbody>
+            {entry.occurrences.slice(0, limit).map(({ manuscript, position, wordIndex }) => {
+              const para = manuscript.paragraphs[position];
+              const context = kwicContext(para.words, wordIndex);
+              return (
+                <tr
+                  key={`${manuscript.siglum}-${position}-${wordIndex}`}
+                  onClick={() => onOpenVerse(manuscript, position, wordIndex)}
+                  className="border-b border-gray-100 hover:bg-blue-50 cursor-pointer"
+                >
+                  <td className="py-1 pr-2 text-gray-500 whitespace-nowrap">{manuscript.siglum} {para.index}</td>
+                  <td className="py-1 pr-2 text-right text-gray-700">{context.left.join(' ')}</td>
+                  <td className="py-1 px-1 font-bold text-blue-700 text-center whitespace-nowrap">{para.words[wordIndex].ogeo}</td>
+                  <td className="py-1 pl-2 text-gray-700">{context.right.join(' ')}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {entry.occurrences.length > limit && (
+          <button
+            onClick={() => setLimit(prev => prev + CONCORDANCE_PAGE)}
+            className="mt-3 text-sm text-blue-600 hover:underline"
+          >
+            {t('common.showMore', { count: entry.occurrences.length - limit })}
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const GlossaryView = ({ manuscripts, selectedLemma, onSelectLemma, onOpenVerse }) => {
+  const { t } = useI18n();
+  const glossary = useMemo(() => buildGlossary(manuscripts), [manuscripts]);
+  const [filter, setFilter] = useState('');
+
+  const needle = filter.trim().toLowerCase();
+  const listed = needle
+    ? glossary.filter(entry => entry.lemma.toLowerCase().includes(needle)
+      || entry.english.some(item => item.value.toLowerCase().includes(needle)))
+    : glossary;
+  const selected = glossary.find(entry => entry.lemma === selectedLemma);
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto px-4 py-8 grid grid-cols-12 gap-6">
+        <div className="col-span-12 lg:col-span-3">
+          <div className="bg-white rounded-lg shadow p-4 sticky top-4">
+            <input
+              type="text"
+              value={filter}
+              onChange={(e) => setFilter(e.target.value)}
+              placeholder={t('glossary.filter')}
+              className="w-full px-3 py-1 mb-3 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none text-sm"
+            />
+            <div className="text-xs text-gray-500 mb-2">{t('glossary.listed', { listed: listed.length, total: glossary.length })}</div>
+            <ul className="max-h-[70vh] overflow-y-auto text-sm">
+              {listed.map(entry => (
+                <li key={entry.lemma}>
+                  <button
+                    onClick={() => onSelectLemma(entry.lemma)}
+                    className={`w-full flex justify-between px-2 py-0.5 rounded text-left hover:bg-blue-50 ${
+                      entry.lemma === selectedLemma ? 'bg-blue-100 font-semibold' : ''
+                    }`}
+                  >
+                    <span>{entry.lemma}</span>
+                    <span className="text-gray-400">{entry.count}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        <div className="col-span-12 lg:col-span-9">
+          <div className="bg-white rounded-lg shadow-md p-6">
+            {selected ? (
+              <LemmaDetail key={selected.lemma} entry={selected} onOpenVerse={onOpenVerse} />
+            ) : (
+              <p className="text-gray-500">{t('glossary.choose')}</p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GlossaryView;
@@ -0,0 +1,236 @@
+import React, { useMemo, useState } from 'react';
+import { MAP_SIZE, WATER, project, toPath } from '../lib/mapOutline';
+import { parseDateRange, witnessPlaces } from '../lib/places';
+import { useI18n } from '../lib/i18n';
+
+// Timeline limits when no witness is dated
+const DEFAULT_YEARS = { from: 800, to: 1900 };
+const YEAR_STEP = 10;
+
+const PIN_STYLES = {
+  repository: 'fill-blue-600 stroke-white',
+  origin: 'fill-white stroke-amber-700'
+};
+
+// Witnesses grouped by the place they are pinned to, so shared places get one pin
+const groupByPlace = (witnesses, kind) => {
+  const groups = new Map();
+  witnesses.forEach(witness => {
+    const place = witness.places[kind];
+    if (!place) return;
+    if (!groups.has(place.id)) groups.set(place.id, { place, witnesses: [] });
+    groups.get(place.id).witnesses.push(witness);
+  });
+  return [...groups.values()];
+};
+
+const MapView = ({ catalogue, onOpenManuscript }) => {
+  const { locale, t } = useI18n();
+  const witnesses = useMemo(() => catalogue.map(entry => ({
+    entry,
+    places: witnessPlaces(entry),
+    dates: parseDateRange(entry.date)
+  })), [catalogue]);
+
+  const yearBounds = useMemo(() => {
+    const dated = witnesses.filter(witness => witness.dates);
+    if (dated.length === 0) return DEFAULT_YEARS;
+    const floor = (year) => Math.floor(year / 100) * 100;
+    return {
+      from: Math.min(DEFAULT_YEARS.from, floor(Math.min(...dated.map(witness => witness.dates.from)))),
+      to: Math.max(DEFAULT_YEARS.to, floor(Math.max(...dated.map(witness => witness.dates.to))) + 100)
+    };
+  }, [witnesses]);
+
+  const [from, setFrom] = useState(yearBounds.from);
+  const [to, setTo] = useState(yearBounds.to);
+  const [showUndated, setShowUndated] = useState(true);
+  const [hovered, setHovered] = useState(null);
+  // The shared pin whose witnesses are listed: { kind, place }
+  const [opened, setOpened] = useState(null);
+
+  const visible = witnesses.filter(witness => (witness.dates
+    ? witness.dates.to >= from && witness.dates.from <= to
+    : showUndated));
+  const unplaced = visible.filter(witness => !witness.places.repository && !witness.places.origin);
+
+  // A pin of one witness opens it; a pin shared by several lists them to choose from
+  const openPin = (kind, place, group) => {
+    if (group.length === 1) onOpenManuscript(group[0].entry);
+    else setOpened({ kind, place });
+  };
+  // Listed as the chronology currently shows them
+  const openedWitnesses = opened
+    ? groupByPlace(visible, opened.kind).find(group => group.place.id === opened.place.id)?.witnesses || []
+    : [];
+
+  const renderPins = (kind) => groupByPlace(visible, kind).map(({ place, witnesses: group }) => {
+    const [x, y] = project(place.coords);
+    return (
+      <g
+        key={`${kind}-${place.id}`}
+        className="cursor-pointer"
+        onMouseEnter={() => setHovered(place.id)}
+        onMouseLeave={() => setHovered(null)}
+        onClick={() => openPin(kind, place, group)}
+      >
+        <title>{`${place.name[locale]}: ${group.map(witness => witness.entry.title).join(', ')}`}</title>
+        <circle cx={x} cy={y} r={hovered === place.id ? 8 : 6} strokeWidth="2" className={PIN_STYLES[kind]} />
+        <text x={x + 10} y={y + 4} className="text-xs fill-gray-900 font-semibold select-none">
+          {group.map(witness => witness.entry.siglum).join(' ')}
+        </text>
+      </g>
+    );
+  });
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto px-4 py-8 grid grid-cols-12 gap-6">
+        <div className="col-span-12 lg:col-span-9">
+          <div className="bg-white rounded-lg shadow-md p-4">
+            <div className="relative">
+              <svg viewBox={`0 0 ${MAP_SIZE.width} ${MAP_SIZE.height}`} className="w-full h-auto bg-stone-100 rounded">
+                {WATER.map(area => (
+                  <path
+                    key={area.name.ka}
+                    d={toPath(area.points)}
+                    className={area.land ? 'fill-stone-100 stroke-stone-400' : 'fill-sky-100 stroke-sky-300'}
+                    strokeWidth="1"
+                  >
+                    <title>{area.name[locale]}</title>
+                  </path>
+                ))}
+                {WATER.filter(area => area.label).map(area => {
+                  const [x, y] = project(area.label);
+                  return (
+                    <text key={area.name.ka} x={x} y={y} textAnchor="middle" className="text-sm italic fill-sky-700 select-none">
+                      {area.name[locale]}
+                    </text>
+                  );
+                })}
+
+                {/* Origin and repository of the same witness are joined by a dashed line */}
+                {visible.filter(witness => witness.places.origin && witness.places.repository).map(witness => {
+                  const [x1, y1] = project(witness.places.origin.coords);
+                  const [x2, y2] = project(witness.places.repository.coords);
+                  return (
+                    <line
+                      key={witness.entry.siglum}
+                      x1={x1} y1={y1} x2={x2} y2={y2}
+                      strokeDasharray="4 4"
+                      strokeWidth="1.5"
+                      className="stroke-amber-700"
+                    />
+                  );
+                })}
+                {renderPins('origin')}
+                {renderPins('repository')}
+              </svg>
+              {openedWitnesses.length > 0 && (
+                <div
+                  className="absolute z-10 bg-white border border-gray-300 rounded shadow-lg p-3 text-sm"
+                  style={{
+                    left: `${(project(opened.place.coords)[0] / MAP_SIZE.width) * 100}%`,
+                    top: `${(project(opened.place.coords)[1] / MAP_SIZE.height) * 100}%`
+                  }}
+                >
+                  <div className="flex items-center justify-between space-x-4 mb-2">
+                    <strong>{t('map.atPlace', { place: opened.place.name[locale] })}</strong>
+                    <button onClick={() => setOpened(null)} className="text-gray-500 hover:text-gray-800" aria-label={t('map.close')}>×</button>
+                  </div>
+                  <ul className="space-y-1">
+                    {openedWitnesses.map(({ entry }) => (
+                      <li key={entry.siglum}>
+                        <button onClick={() => onOpenManuscript(entry)} className="text-blue-600 hover:underline text-left">
+                          {entry.siglum} — {entry.title}
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+
+            <div className="mt-3 flex flex-wrap gap-4 text-xs text-gray-600">
+              <span className="flex items-center space-x-1">
+                <span className="inline-block w-3 h-3 rounded-full bg-blue-600"></span>
+                <span>{t('map.repository')}</span>
+              </span>
+              <span className="flex items-center space-x-1">
+                <span className="inline-block w-3 h-3 rounded-full bg-white border-2 border-amber-700"></span>
+                <span>{t('map.origin')}</span>
+              </span>
+            </div>
+          </div>
+        </div>
+
+        <div className="col-span-12 lg:col-span-3 space-y-4 text-sm">
+          <div className="bg-white rounded-lg shadow p-4 space-y-3">
+            <h2 className="text-lg font-bold">{t('map.chronology')}</h2>
+            <label className="block">
+              <span className="text-gray-700">{t('map.from', { year: from })}</span>
+              <input
+                type="range"
+                min={yearBounds.from}
+                max={yearBounds.to}
+                step={YEAR_STEP}
+                value={from}
+                onChange={(e) => {
+                  const year = Number(e.target.value);
+                  setFrom(year);
+                  if (year > to) setTo(year);
+                }}
+                className="w-full"
+              />
+            </label>
+            <label className="block">
+              <span className="text-gray-700">{t('map.to', { year: to })}</span>
+              <input
+                type="range"
+                min={yearBounds.from}
+                max={yearBounds.to}
+                step={YEAR_STEP}
+                value={to}
+                onChange={(e) => {
+                  const year = Number(e.target.value);
+                  setTo(year);
+                  if (year < from) setFrom(year);
+                }}
+                className="w-full"
+              />
+            </label>
+            <label className="flex items-center space-x-2">
+              <input type="checkbox" checked={showUndated} onChange={(e) => setShowUndated(e.target.checked)} />
+              <span>{t('map.undated')}</span>
+            </label>
+          </div>
+
+          <div className="bg-white rounded-lg shadow p-4">
+            <h2 className="text-lg font-bold mb-3">{t('map.manuscripts')}</h2>
+            <ul className="space-y-3">
+              {visible.map(({ entry, places, dates }) => (
+                <li key={entry.siglum}>
+                  <button onClick={() => onOpenManuscript(entry)} className="text-blue-600 hover:underline font-medium">
+                    {entry.siglum} — {entry.title}
+                  </button>
+                  <div className="text-xs text-gray-600">
+                    {dates ? entry.date.trim() : t('map.dateUnknown')}
+                    {places.origin && <div>{t('map.originOf', { place: places.origin.name[locale] })}</div>}
+                    {places.repository && <div>{t('map.repositoryOf', { place: places.repository.name[locale] })}</div>}
+                  </div>
+                </li>
+              ))}
+            </ul>
+            {unplaced.length > 0 && (
+              <p className="mt-3 text-xs text-gray-500">
+                {t('map.placeUnknown', { sigla: unplaced.map(witness => witness.entry.siglum).join(', ') })}
+              </p>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MapView;
@@ -0,0 +1,146 @@
+import React, { useMemo, useState } from 'react';
+import { MapPin } from 'lucide-react';
+import { LOCALES, useI18n } from '../lib/i18n';
+import { suggestTerms } from '../lib/searchIndex';
+
+// Top bar with the interface language switch. The search box starts from the query in the URL; App remounts it
+// (via `key`) whenever that query changes so the two stay in sync. Once the search index is
+// built, the term being typed gets completions from the corpus forms and lemmas.
+const Navigation = ({ query, searchIndex, onFocusSearch, onNavigate, onSearch }) => {
+  const { locale, setLocale, t } = useI18n();
+  const [input, setInput] = useState(query);
+  const [showSuggestions, setShowSuggestions] = useState(false);
+  const [highlighted, setHighlighted] = useState(-1);
+
+  const suggestions = useMemo(
+    () => (searchIndex && showSuggestions ? suggestTerms(searchIndex, input) : []),
+    [searchIndex, showSuggestions, input]
+  );
+
+  const runSearch = (value) => {
+    setInput(value);
+    setShowSuggestions(false);
+    onSearch(value);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    runSearch(highlighted >= 0 && suggestions[highlighted] ? suggestions[highlighted].query : input);
+  };
+
+  const handleKeyDown = (e) => {
+    if (suggestions.length === 0) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      // -1 is the typed input itself, between the last suggestion and the first
+      setHighlighted(prev => {
+        const next = prev + step;
+        return next >= suggestions.length ? -1 : next < -1 ? suggestions.length - 1 : next;
+      });
+    } else if (e.key === 'Escape') {
+      setShowSuggestions(false);
+    }
+  };
+
+  return (
+    <nav className="bg-gray-100 shadow-sm border-b border-gray-200">
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8">
+        <div className="flex justify-between items-center h-16">
+          <div className="flex items-center space-x-1">
+            <button onClick={() => onNavigate({ view: 'home' })} className="text-gray-700 hover:text-blue-600 px-3 py-2">
+              {t('nav.home')}
+            </button>
+            <button onClick={() => onNavigate({ view: 'about' })} className="text-gray-700 hover:text-blue-600 px-3 py-2">
+              {t('nav.about')}
+            </button>
+            <button onClick={() => onNavigate({ view: 'catalogue' })} className="text-gray-700 hover:text-blue-600 px-3 py-2">
+              {t('nav.catalogue')}
+            </button>
+            <button onClick={() => onNavigate({ view: 'glossary' })} className="text-gray-700 hover:text-blue-600 px-3 py-2">
+              {t('nav.glossary')}
+            </button>
+            <button onClick={() => onNavigate({ view: 'equivalents' })} className="text-gray-700 hover:text-blue-600 px-3 py-2">
+              {t('nav.equivalents')}
+            </button>
+            <button onClick={() => onNavigate({ view: 'synopsis' })} className="text-gray-700 hover:text-blue-600 px-3 py-2">
+              {t('nav.synopsis')}
+            </button>
+            <button onClick={() => onNavigate({ view: 'stats' })} className="text-gray-700 hover:text-blue-600 px-3 py-2">
+              {t('nav.stats')}
+            </button>
+            <button
+              onClick={() => onNavigate({ view: 'map' })}
+              className="text-gray-700 hover:text-blue-600 px-3 py-2 flex items-center space-x-1"
+            >
+              <MapPin className="w-4 h-4" />
+              <span>{t('nav.map')}</span>
+            </button>
+          </div>
+
+          <form onSubmit={handleSubmit} className="flex items-center space-x-2">
+            <div className="relative">
+              <input
+                type="text"
+                value={input}
+                onChange={(e) => {
+                  setInput(e.target.value);
+                  setShowSuggestions(true);
+                  setHighlighted(-1);
+                }}
+                onFocus={onFocusSearch}
+                onKeyDown={handleKeyDown}
+                onBlur={() => setShowSuggestions(false)}
+                placeholder="..."
+                autoComplete="off"
+                className="px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none"
+              />
+              {suggestions.length > 0 && (
+                <ul className="absolute z-50 right-0 mt-1 w-72 bg-white border border-gray-200 rounded shadow-lg text-sm" aria-label={t('search.suggestions')}>
+                  {suggestions.map((item, idx) => (
+                    <li key={`${item.field}:${item.value}`}>
+                      <button
+                        type="button"
+                        // Keep the input focused so the list isn't closed before the click lands
+                        onMouseDown={(e) => e.preventDefault()}
+                        onClick={() => runSearch(item.query)}
+                        className={`w-full flex justify-between px-3 py-1 text-left ${idx === highlighted ? 'bg-blue-100' : 'hover:bg-gray-100'}`}
+                      >
+                        <span>
+                          {item.value}
+                          <span className="ml-2 text-xs text-gray-500">{t(`query.fields.${item.field}`)}</span>
+                        </span>
+                        <span className="text-gray-400">{item.count}</span>
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <button
+              type="submit"
+              className="bg-blue-600 text-white px-3 py-1 rounded hover:bg-blue-700"
+            >
+              {t('nav.search')}
+            </button>
+            <div className="flex text-sm border border-gray-300 rounded overflow-hidden" role="group" aria-label={t('nav.language')}>
+              {LOCALES.map(item => (
+                <button
+                  key={item.id}
+                  type="button"
+                  onClick={() => setLocale(item.id)}
+                  title={item.label}
+                  className={`px-2 py-1 ${locale === item.id ? 'bg-gray-700 text-white' : 'text-gray-700 hover:bg-gray-200'}`}
+                >
+                  {item.short}
+                </button>
+              ))}
+            </div>
+          </form>
+        </div>
+      </div>
+    </nav>
+  );
+};
+
+export default Navigation;
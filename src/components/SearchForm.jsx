@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { QUERY_FIELDS, buildQuery } from '../lib/query';
+import { useI18n } from '../lib/i18n';
+
+const FIELD_PLACEHOLDERS = {
+  form: 'ტობი*',
+  lemma: 'თავ',
+  gram: 'V.S3.O3.Sg / *.Gen.*',
+  eng: 'son',
+  grc: 'υἱός',
+  arm: 'որդի'
+};
+
+// Structured search: one input per token field, combined with AND, plus a free query box
+const SearchForm = ({ initialQuery, initialOptions, onSearch }) => {
+  const { t } = useI18n();
+  const [query, setQuery] = useState(initialQuery);
+  const [fields, setFields] = useState({});
+  const [options, setOptions] = useState(initialOptions);
+
+  const updateField = (id, value) => {
+    const next = { ...fields, [id]: value };
+    setFields(next);
+    setQuery(buildQuery(next));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSearch(query, options);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow-md mb-6 p-6 space-y-4">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 mb-1">{t('search.query')}</label>
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder='lemma:თავ AND gram:*.Gen.*'
+          className="w-full px-3 py-2 border border-gray-300 rounded font-mono text-sm focus:ring-2 focus:ring-blue-500 outline-none"
+        />
+        <p className="text-xs text-gray-500 mt-1">
+          {t('search.help')}
+        </p>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {QUERY_FIELDS.map(field => (
+          <div key={field.id}>
+            <label className="block text-sm text-gray-700 mb-1">{t(`query.fields.${field.id}`)}</label>
+            <input
+              type="text"
+              value={fields[field.id] || ''}
+              onChange={(e) => updateField(field.id, e.target.value)}
+              placeholder={FIELD_PLACEHOLDERS[field.id]}
+              className="w-full px-3 py-1 border border-gray-300 rounded focus:ring-2 focus:ring-blue-500 outline-none"
+            />
+          </div>
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-4 text-sm">
+          <label className="flex items-center space-x-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={options.regex}
+              onChange={(e) => setOptions({ ...options, regex: e.target.checked })}
+            />
+            <span>{t('search.regex')}</span>
+          </label>
+          <label className="flex items-center space-x-1 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={options.wholeWord}
+              onChange={(e) => setOptions({ ...options, wholeWord: e.target.checked })}
+            />
+            <span>{t('search.wholeWord')}</span>
+          </label>
+          <label className="flex items-center space-x-1 cursor-pointer" title={t('search.fuzzyHint')}>
+            <input
+              type="checkbox"
+              checked={options.fuzzy}
+              onChange={(e) => setOptions({ ...options, fuzzy: e.target.checked })}
+            />
+            <span>{t('search.fuzzy')}</span>
+          </label>
+        </div>
+        <button type="submit" className="bg-blue-600 text-white px-4 py-1 rounded hover:bg-blue-700">
+          {t('common.search')}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default SearchForm;
@@ -0,0 +1,239 @@
+import React, { useMemo, useState } from 'react';
+import { Download } from 'lucide-react';
+import { downloadCsv } from '../lib/download';
+import { lemmaFrequencies, lexicalDiversity, missingVerses, posByChapter, posDistribution } from '../lib/stats';
+import { FEATURES, POS_STYLES } from '../lib/tagset';
+import { parseVerseRef } from '../lib/verses';
+import { useI18n } from '../lib/i18n';
+
+const POS_VALUES = FEATURES.find(feature => feature.id === 'pos').values;
+const POS_CODES = [...Object.keys(POS_VALUES), ''];
+const LEMMA_LIMITS = [20, 50, 100];
+
+const posLabel = (code, { locale, t }) => POS_VALUES[code]?.[locale] || t('stats.unknownPos');
+
+// Collapse consecutive verses of a chapter: 1,1 1,2 1,3 2,5 → "1,1–3; 2,5"
+const formatRanges = (refs) => {
+  const ranges = [];
+  refs.map(parseVerseRef).forEach(ref => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.chapter === ref.chapter && last.to === ref.verse - 1) last.to = ref.verse;
+    else ranges.push({ chapter: ref.chapter, from: ref.verse, to: ref.verse });
+  });
+  return ranges.map(r => `${r.chapter},${r.from}${r.to > r.from ? `–${r.to}` : ''}`).join('; ');
+};
+
+const Section = ({ title, onDownload, children }) => {
+  const { t } = useI18n();
+  const [error, setError] = useState('');
+
+  const download = async () => {
+    try {
+      setError('');
+      await onDownload();
+    } catch (err) {
+      console.error(`Error downloading ${title}:`, err);
+      setError(t('export.failed', { error: err.message }));
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-xl font-bold text-gray-900">{title}</h2>
+        <button onClick={download} className="flex items-center space-x-1 text-sm text-blue-600 hover:underline">
+          <Download className="w-4 h-4" />
+          <span>CSV</span>
+        </button>
+      </div>
+      {error && <p className="mb-4 text-xs text-red-600">{error}</p>}
+      {children}
+    </div>
+  );
+};
+
+const Bar = ({ label, value, max, title }) => (
+  <div className="flex items-center text-sm" title={title}>
+    <span className="w-32 shrink-0 truncate">{label}</span>
+    <div className="flex-1 bg-gray-100 rounded-sm h-4 mx-2">
+      <div className="bg-blue-500 h-4 rounded-sm" style={{ width: `${max > 0 ? (value / max) * 100 : 0}%` }}></div>
+    </div>
+    <span className="w-12 text-right text-gray-600">{value}</span>
+  </div>
+);
+
+// 100% stacked bar of part-of-speech shares
+const PosBar = ({ label, row }) => {
+  const i18n = useI18n();
+
+  return (
+    <div className="flex items-center text-sm">
+      <span className="w-16 shrink-0 font-medium">{label}</span>
+      <div className="flex-1 flex h-5 rounded-sm overflow-hidden border border-gray-200">
+        {POS_CODES.filter(code => row.counts[code]).map(code => (
+          <div
+            key={code}
+            className={POS_STYLES[code] || 'bg-white'}
+            style={{ width: `${(row.counts[code] / row.total) * 100}%` }}
+            title={`${posLabel(code, i18n)}: ${row.counts[code]} (${((row.counts[code] / row.total) * 100).toFixed(1)}%)`}
+          ></div>
+        ))}
+      </div>
+      <span className="w-16 text-right text-gray-600">{row.total}</span>
+    </div>
+  );
+};
+
+const posRows = (rows, key) => rows.map(row => ({
+  [key]: row[key],
+  total: row.total,
+  ...Object.fromEntries(POS_CODES.map(code => [code || 'unknown', row.counts[code] || 0]))
+}));
+
+const StatsView = ({ manuscripts }) => {
+  const i18n = useI18n();
+  const { t } = i18n;
+  const sigla = manuscripts.map(manuscript => manuscript.siglum);
+  const lemmas = useMemo(() => lemmaFrequencies(manuscripts), [manuscripts]);
+  const pos = useMemo(() => posDistribution(manuscripts), [manuscripts]);
+  const diversity = useMemo(() => lexicalDiversity(manuscripts), [manuscripts]);
+  const missing = useMemo(() => missingVerses(manuscripts), [manuscripts]);
+
+  const [lemmaWitness, setLemmaWitness] = useState('');
+  const [lemmaLimit, setLemmaLimit] = useState(LEMMA_LIMITS[0]);
+  const [chapterWitness, setChapterWitness] = useState(sigla[0] || '');
+
+  const lemmaCount = (row) => (lemmaWitness ? row.counts[lemmaWitness] || 0 : row.total);
+  const topLemmas = [...lemmas]
+    .filter(row => lemmaCount(row) > 0)
+    .sort((a, b) => lemmaCount(b) - lemmaCount(a))
+    .slice(0, lemmaLimit);
+
+  const chapterPos = useMemo(() => {
+    const manuscript = manuscripts.find(m => m.siglum === chapterWitness);
+    return manuscript ? posByChapter(manuscript) : [];
+  }, [manuscripts, chapterWitness]);
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-6xl mx-auto px-4 py-8 space-y-6">
+        <h1 className="text-3xl font-bold text-gray-900">{t('stats.title')}</h1>
+
+        <Section
+          title={t('stats.lemmaFrequency')}
+          onDownload={() => downloadCsv('lemma-frequencies.csv', lemmas.map(row => ({
+            lemma: row.lemma,
+            total: row.total,
+            ...Object.fromEntries(sigla.map(siglum => [siglum, row.counts[siglum] || 0]))
+          })))}
+        >
+          <div className="flex flex-wrap gap-4 mb-4 text-sm">
+            <label className="flex items-center space-x-2">
+              <span className="text-gray-700">{t('stats.witness')}</span>
+              <select value={lemmaWitness} onChange={(e) => setLemmaWitness(e.target.value)} className="px-2 py-1 border border-gray-300 rounded">
+                <option value="">{t('common.all')}</option>
+                {sigla.map(siglum => <option key={siglum} value={siglum}>{siglum}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center space-x-2">
+              <span className="text-gray-700">{t('stats.show')}</span>
+              <select value={lemmaLimit} onChange={(e) => setLemmaLimit(Number(e.target.value))} className="px-2 py-1 border border-gray-300 rounded">
+                {LEMMA_LIMITS.map(limit => <option key={limit} value={limit}>{limit}</option>)}
+              </select>
+            </label>
+          </div>
+          <div className="space-y-1">
+            {topLemmas.map(row => (
+              <Bar
+                key={row.lemma}
+                label={row.lemma}
+                value={lemmaCount(row)}
+                max={lemmaCount(topLemmas[0])}
+                title={sigla.map(siglum => `${siglum}: ${row.counts[siglum] || 0}`).join(', ')}
+              />
+            ))}
+          </div>
+        </Section>
+
+        <Section
+          title={t('stats.posByWitness')}
+          onDownload={() => downloadCsv('pos-by-witness.csv', posRows(pos, 'siglum'))}
+        >
+          <div className="space-y-2">
+            {pos.map(row => <PosBar key={row.siglum} label={row.siglum} row={row} />)}
+          </div>
+          <div className="mt-4 flex flex-wrap gap-2 text-xs">
+            {POS_CODES.map(code => (
+              <span key={code} className={`${POS_STYLES[code] || 'bg-white border border-gray-200'} rounded px-2 py-0.5`}>{posLabel(code, i18n)}</span>
+            ))}
+          </div>
+        </Section>
+
+        <Section
+          title={t('stats.posByChapter')}
+          onDownload={() => downloadCsv(`pos-by-chapter-${chapterWitness}.csv`, posRows(chapterPos, 'chapter'))}
+        >
+          <label className="flex items-center space-x-2 mb-4 text-sm">
+            <span className="text-gray-700">{t('stats.witness')}</span>
+            <select value={chapterWitness} onChange={(e) => setChapterWitness(e.target.value)} className="px-2 py-1 border border-gray-300 rounded">
+              {sigla.map(siglum => <option key={siglum} value={siglum}>{siglum}</option>)}
+            </select>
+          </label>
+          <div className="space-y-2">
+            {chapterPos.map(row => <PosBar key={row.chapter} label={t('common.chapter', { label: row.label })} row={row} />)}
+          </div>
+        </Section>
+
+        <Section
+          title={t('stats.diversity')}
+          onDownload={() => downloadCsv('lexical-diversity.csv', diversity.map(row => ({ ...row, ttr: row.ttr.toFixed(4) })))}
+        >
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600 border-b">
+                <th className="py-1 pr-4">{t('common.witness')}</th>
+                <th className="py-1 pr-4">{t('stats.tokens')}</th>
+                <th className="py-1 pr-4">{t('stats.types')}</th>
+                <th className="py-1 pr-4">TTR</th>
+                <th className="py-1">{t('stats.lemmas')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {diversity.map(row => (
+                <tr key={row.siglum} className="border-b border-gray-100">
+                  <td className="py-1 pr-4 font-medium">{row.siglum}</td>
+                  <td className="py-1 pr-4">{row.tokens}</td>
+                  <td className="py-1 pr-4">{row.types}</td>
+                  <td className="py-1 pr-4">{row.ttr.toFixed(3)}</td>
+                  <td className="py-1">{row.lemmas}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="mt-2 text-xs text-gray-500">
+            {t('stats.ttrNote')}
+          </p>
+        </Section>
+
+        <Section
+          title={t('stats.missing')}
+          onDownload={() => downloadCsv('missing-verses.csv', missing.flatMap(row => row.missing.map(verse => ({ siglum: row.siglum, verse }))))}
+        >
+          <table className="w-full text-sm">
+            <tbody>
+              {missing.map(row => (
+                <tr key={row.siglum} className="border-b border-gray-100 align-top">
+                  <td className="py-2 pr-4 font-medium">{row.siglum}</td>
+                  <td className="py-2 pr-4 text-gray-600 whitespace-nowrap">{row.missing.length}</td>
+                  <td className="py-2 text-gray-700">{row.missing.length > 0 ? formatRanges(row.missing) : '—'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Section>
+      </div>
+    </div>
+  );
+};
+
+export default StatsView;
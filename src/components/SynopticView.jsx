@@ -0,0 +1,170 @@
+import React, { useMemo, useState } from 'react';
+import { allVerseRefs, compareVerseRefs, diffTokens, verseMap } from '../lib/collation';
+import { useI18n } from '../lib/i18n';
+
+const DIFF_STYLES = {
+  addition: 'bg-green-100 text-green-900',
+  omission: 'bg-red-100 text-red-700 line-through',
+  substitution: 'bg-orange-100 text-orange-900'
+};
+
+const DEFAULT_RANGE = 5;
+
+const Words = ({ words, className = '' }) => (
+  <span className={`${className} rounded px-0.5`}>
+    {words.map(word => word.ogeo).join(' ')}
+  </span>
+);
+
+// Render a witness verse with its differences from the base marked up
+const DiffCell = ({ diff }) => (
+  <p className="leading-relaxed">
+    {diff.map((entry, idx) => (
+      <React.Fragment key={idx}>
+        {entry.type === 'same' && <Words words={entry.witness} />}
+        {entry.type === 'addition' && <Words words={entry.witness} className={DIFF_STYLES.addition} />}
+        {entry.type === 'omission' && <Words words={entry.base} className={DIFF_STYLES.omission} />}
+        {entry.type === 'substitution' && (
+          <span title={entry.base.map(word => word.ogeo).join(' ')}>
+            <Words words={entry.witness} className={DIFF_STYLES.substitution} />
+          </span>
+        )}
+        {' '}
+      </React.Fragment>
+    ))}
+  </p>
+);
+
+const SynopticView = ({ manuscripts, onOpenVerse }) => {
+  const { t } = useI18n();
+  const refs = useMemo(() => allVerseRefs(manuscripts), [manuscripts]);
+  const versesBySiglum = useMemo(
+    () => new Map(manuscripts.map(manuscript => [manuscript.siglum, verseMap(manuscript)])),
+    [manuscripts]
+  );
+
+  const [baseSiglum, setBaseSiglum] = useState(manuscripts[0]?.siglum || '');
+  const [selected, setSelected] = useState(manuscripts.map(manuscript => manuscript.siglum));
+  const [from, setFrom] = useState(refs[0] || '');
+  const [to, setTo] = useState(refs[Math.min(DEFAULT_RANGE, refs.length) - 1] || '');
+
+  const rangeRefs = refs.filter(ref => compareVerseRefs(ref, from) >= 0 && compareVerseRefs(ref, to) <= 0);
+  const witnesses = [
+    manuscripts.find(manuscript => manuscript.siglum === baseSiglum),
+    ...manuscripts.filter(manuscript => manuscript.siglum !== baseSiglum && selected.includes(manuscript.siglum))
+  ].filter(Boolean);
+
+  const toggleWitness = (siglum) => {
+    setSelected(prev => (prev.includes(siglum) ? prev.filter(s => s !== siglum) : [...prev, siglum]));
+  };
+
+  const changeFrom = (ref) => {
+    setFrom(ref);
+    if (compareVerseRefs(ref, to) > 0) setTo(ref);
+  };
+
+  return (
+    <div className="bg-gray-50 min-h-screen">
+      <div className="max-w-7xl mx-auto px-4 py-8">
+        <div className="bg-white rounded-lg shadow-md mb-6 p-6 space-y-4 text-sm">
+          <div className="flex flex-wrap items-center gap-4">
+            <label className="flex items-center space-x-2">
+              <span className="font-medium text-gray-700">{t('synopsis.base')}</span>
+              <select
+                value={baseSiglum}
+                onChange={(e) => setBaseSiglum(e.target.value)}
+                className="px-2 py-1 border border-gray-300 rounded"
+              >
+                {manuscripts.map(manuscript => (
+                  <option key={manuscript.siglum} value={manuscript.siglum}>
+                    {manuscript.siglum} — {manuscript.title}
+                  </option>
+                ))}
+              </select>
+            </label>
+            <label className="flex items-center space-x-2">
+              <span className="font-medium text-gray-700">{t('synopsis.fromVerse')}</span>
+              <select value={from} onChange={(e) => changeFrom(e.target.value)} className="px-2 py-1 border border-gray-300 rounded">
+                {refs.map(ref => <option key={ref} value={ref}>{ref}</option>)}
+              </select>
+            </label>
+            <label className="flex items-center space-x-2">
+              <span className="font-medium text-gray-700">{t('synopsis.toVerse')}</span>
+              <select value={to} onChange={(e) => setTo(e.target.value)} className="px-2 py-1 border border-gray-300 rounded">
+                {refs.filter(ref => compareVerseRefs(ref, from) >= 0).map(ref => <option key={ref} value={ref}>{ref}</option>)}
+              </select>
+            </label>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4">
+            <span className="font-medium text-gray-700">{t('synopsis.witnesses')}</span>
+            {manuscripts.filter(manuscript => manuscript.siglum !== baseSiglum).map(manuscript => (
+              <label key={manuscript.siglum} className="flex items-center space-x-1 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selected.includes(manuscript.siglum)}
+                  onChange={() => toggleWitness(manuscript.siglum)}
+                />
+                <span>{manuscript.siglum}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-4 text-xs">
+            <span className={`${DIFF_STYLES.addition} px-1 rounded`}>{t('synopsis.addition')}</span>
+            <span className={`${DIFF_STYLES.omission} px-1 rounded`}>{t('synopsis.omission')}</span>
+            <span className={`${DIFF_STYLES.substitution} px-1 rounded`}>{t('synopsis.substitution')}</span>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md overflow-x-auto">
+          <table className="w-full text-sm border-collapse">
+            <thead>
+              <tr className="border-b border-gray-200 bg-gray-100">
+                <th className="p-2 text-left w-16">{t('common.verse')}</th>
+                {witnesses.map(manuscript => (
+                  <th key={manuscript.siglum} className="p-2 text-left min-w-[14rem]">
+                    {manuscript.siglum}
+                    {manuscript.siglum === baseSiglum && <span className="ml-1 text-xs font-normal text-gray-500">{t('synopsis.baseMark')}</span>}
+                    <div className="text-xs font-normal text-gray-500">{manuscript.title}</div>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {rangeRefs.map(ref => {
+                const basePara = versesBySiglum.get(baseSiglum)?.get(ref);
+                return (
+                  <tr key={ref} className="border-b border-gray-100 align-top">
+                    <td className="p-2 font-bold text-gray-900">{ref}</td>
+                    {witnesses.map(manuscript => {
+                      const para = versesBySiglum.get(manuscript.siglum)?.get(ref);
+                      const isBase = manuscript.siglum === baseSiglum;
+                      return (
+                        <td
+                          key={manuscript.siglum}
+                          className={`p-2 ${isBase ? 'bg-yellow-50' : ''} ${para ? 'cursor-pointer hover:bg-blue-50' : ''}`}
+                          onClick={() => para && onOpenVerse(manuscript, manuscript.paragraphs.indexOf(para))}
+                        >
+                          {!para ? (
+                            <span className="text-gray-400">—</span>
+                          ) : isBase || !basePara ? (
+                            <p className="leading-relaxed">{para.words.map(word => word.ogeo).join(' ') || para.text}</p>
+                          ) : (
+                            <DiffCell diff={diffTokens(basePara.words, para.words)} />
+                          )}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SynopticView;
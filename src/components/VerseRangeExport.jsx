@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { downloadCsv, downloadFile } from '../lib/download';
+import { useI18n } from '../lib/i18n';
+import { verseRange, versePositions, verseRows, versesJson, versesToHtml } from '../lib/textExport';
+
+// Export of a run of verses of the open witness, by default the chapter being read
+const VerseRangeExport = ({ manuscript, chapter }) => {
+  const { t } = useI18n();
+  const positions = versePositions(manuscript);
+  const chapterPositions = chapter ? positions.filter(position => chapter.positions.includes(position)) : [];
+  const [from, setFrom] = useState(chapterPositions[0] ?? positions[0]);
+  const [to, setTo] = useState(chapterPositions[chapterPositions.length - 1] ?? positions[0]);
+  const [error, setError] = useState('');
+
+  if (positions.length === 0) return null;
+
+  const label = (position) => manuscript.paragraphs[position].index;
+
+  const changeFrom = (position) => {
+    setFrom(position);
+    if (position > to) setTo(position);
+  };
+
+  const exportRange = async (format) => {
+    try {
+      setError('');
+      const range = verseRange(manuscript, from, to);
+      const filename = `${manuscript.siglum}_${label(from)}-${label(to)}`.replace(/,/g, '.');
+      if (format === 'csv') await downloadCsv(`${filename}.csv`, verseRows(manuscript, range));
+      if (format === 'json') downloadFile(`${filename}.json`, versesJson(manuscript, range), 'application/json');
+      if (format === 'html') downloadFile(`${filename}.html`, versesToHtml(manuscript, range, t), 'text/html');
+    } catch (err) {
+      console.error(`Error exporting verses of ${manuscript.siglum} as ${format}:`, err);
+      setError(t('export.failed', { error: err.message }));
+    }
+  };
+
+  return (
+    <div className="mt-6 pt-4 border-t border-gray-200">
+      <strong className="block mb-2">{t('export.verses')}</strong>
+      <div className="flex items-center space-x-2 mb-2">
+        <select value={from} onChange={(e) => changeFrom(Number(e.target.value))} className="px-2 py-1 border border-gray-300 rounded" aria-label={t('synopsis.fromVerse')}>
+          {positions.map(position => <option key={position} value={position}>{label(position)}</option>)}
+        </select>
+        <span>–</span>
+        <select value={to} onChange={(e) => setTo(Number(e.target.value))} className="px-2 py-1 border border-gray-300 rounded" aria-label={t('synopsis.toVerse')}>
+          {positions.filter(position => position >= from).map(position => <option key={position} value={position}>{label(position)}</option>)}
+        </select>
+      </div>
+      <div className="flex space-x-3">
+        <button onClick={() => exportRange('csv')} className="text-sm text-blue-600 hover:underline">CSV</button>
+        <button onClick={() => exportRange('json')} className="text-sm text-blue-600 hover:underline">JSON</button>
+        <button onClick={() => exportRange('html')} className="text-sm text-blue-600 hover:underline" title={t('export.htmlHint')}>
+          {t('export.html')}
+        </button>
+      </div>
+      {error && <p className="mt-2 text-xs text-red-600">{error}</p>}
+    </div>
+  );
+};
+
+export default VerseRangeExport;
@@ -0,0 +1,56 @@
+// Longest-common-subsequence alignment of two sequences.
+// Returns an ordered list of operations:
+//   { type: 'match', a, b }  - a[a] and b[b] are equal
+//   { type: 'delete', a }    - a[a] has no counterpart in b
+//   { type: 'insert', b }    - b[b] has no counterpart in a
+export const alignSequences = (a, b, equals = (x, y) => x === y) => {
+  const n = a.length;
+  const m = b.length;
+  const table = Array.from({ length: n + 1 }, () => new Uint16Array(m + 1));
+
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      table[i][j] = equals(a[i], b[j])
+        ? table[i + 1][j + 1] + 1
+        : Math.max(table[i + 1][j], table[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (equals(a[i], b[j])) {
+      ops.push({ type: 'match', a: i++, b: j++ });
+    } else if (table[i + 1][j] >= table[i][j + 1]) {
+      ops.push({ type: 'delete', a: i++ });
+    } else {
+      ops.push({ type: 'insert', b: j++ });
+    }
+  }
+  while (i < n) ops.push({ type: 'delete', a: i++ });
+  while (j < m) ops.push({ type: 'insert', b: j++ });
+
+  return ops;
+};
+
+// Levenshtein distance between two strings. With `max`, gives up once the distance is
+// certain to exceed it and returns max + 1.
+export const editDistance = (a, b, max = Infinity) => {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    if (Math.min(...current) > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
@@ -0,0 +1,186 @@
+import { ANNOTATION_FIELDS, CLEARED_VALUE, annotationRows } from './annotations.js';
+import { leadingVerse } from './verses.js';
+
+// Corrections made in the browser's annotation editor. They are kept per manuscript as
+//   { "position:wordIndex": { form, verse, fields: { lemma: '…', grammar: '…' } } }
+// holding only the values that differ from the corpus, so the corpus stays the reference
+// for the diff and a rebuilt corpus doesn't silently lose or duplicate them.
+
+const STORAGE_KEY = 'tobit-annotation-edits';
+
+// Element names of the annotation fields inside a <tags> item of the manuscript XML
+const XML_FIELDS = { lemma: 'lemma', grammar: 'gram', english: 'eng', greek: 'grc', armenian: 'arm' };
+
+export const loadStoredEdits = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+};
+
+// Storage can be full or unavailable (private browsing); the edits then live only as
+// long as the page
+export const storeEdits = (edits) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(edits));
+  } catch (error) {
+    console.error('Could not store the annotation edits:', error);
+  }
+};
+
+export const editKey = (position, wordIndex) => `${position}:${wordIndex}`;
+
+// Edits resolved to their tokens, in text order. An edit whose token no longer has
+// the recorded form (the XML changed since) is left out rather than applied to the wrong word.
+const editedTokens = (manuscript, edits) => Object.entries(edits || {})
+  .map(([key, edit]) => {
+    const [position, wordIndex] = key.split(':').map(Number);
+    return { key, edit, position, wordIndex, word: manuscript.paragraphs[position]?.words[wordIndex] };
+  })
+  .filter(({ word, edit }) => word && word.ogeo === edit.form)
+  .sort((a, b) => a.position - b.position || a.wordIndex - b.wordIndex);
+
+// Record new values for a token; values equal to the corpus drop out of the edit
+export const setTokenEdit = (edits, manuscript, position, wordIndex, values) => {
+  const para = manuscript.paragraphs[position];
+  const word = para.words[wordIndex];
+  const key = editKey(position, wordIndex);
+  const fields = { ...edits?.[key]?.fields, ...values };
+  Object.keys(fields).forEach(field => {
+    if (fields[field] === word[field]) delete fields[field];
+  });
+
+  const next = { ...edits };
+  if (Object.keys(fields).length > 0) next[key] = { form: word.ogeo, verse: para.index, fields };
+  else delete next[key];
+  return next;
+};
+
+export const applyEdits = (manuscript, edits) => {
+  const tokens = editedTokens(manuscript, edits);
+  if (tokens.length === 0) return manuscript;
+
+  const paragraphs = [...manuscript.paragraphs];
+  tokens.forEach(({ edit, position, wordIndex }) => {
+    const words = [...paragraphs[position].words];
+    words[wordIndex] = { ...words[wordIndex], ...edit.fields };
+    paragraphs[position] = { ...paragraphs[position], words };
+  });
+  return { ...manuscript, paragraphs };
+};
+
+// One row per changed field, for review: { key, position, wordIndex, verse, form, field, from, to }
+export const editDiff = (manuscript, edits) => editedTokens(manuscript, edits)
+  .flatMap(({ key, edit, position, wordIndex, word }) => ANNOTATION_FIELDS
+    .filter(({ field }) => field in edit.fields)
+    .map(({ field }) => ({
+      key, position, wordIndex, verse: edit.verse, form: edit.form, field, from: word[field], to: edit.fields[field]
+    })));
+
+const children = (el, name) => (el ? Array.from(el.childNodes).filter(node => node.nodeType === 1 && node.nodeName === name) : []);
+
+// Write the edits into the parsed source XML, in place. Empty values are written the
+// way the pandas export writes missing ones: <grc type="float">nan</grc>.
+export const patchXml = (xmlDoc, manuscript, edits) => {
+  const items = children(children(xmlDoc.documentElement, 'content')[0], 'item');
+  editedTokens(manuscript, edits).forEach(({ edit, position, wordIndex }) => {
+    const tag = children(children(items[position], 'tags')[0], 'item')[wordIndex];
+    if (!tag) return;
+    Object.entries(edit.fields).forEach(([field, value]) => {
+      let el = children(tag, XML_FIELDS[field])[0];
+      if (!el) {
+        el = xmlDoc.createElement(XML_FIELDS[field]);
+        tag.appendChild(el);
+      }
+      el.setAttribute('type', value ? 'str' : 'float');
+      el.textContent = value || 'nan';
+    });
+  });
+  return xmlDoc;
+};
+
+// The source XML with the edits written in. XMLSerializer leaves out the XML declaration,
+// so the source's own is put back.
+export const serialiseXml = (xmlDoc, source) => {
+  const declaration = source.match(/^\s*(<\?xml[^>]*\?>)/)?.[1] || '<?xml version="1.0" encoding="UTF-8"?>';
+  return `${declaration}\n${new XMLSerializer().serializeToString(xmlDoc)}`;
+};
+
+// Write the edits into the annotation CSV rows (papaparse objects keyed by header).
+// A token's edit goes into the row mergeAnnotations takes its annotation from. A token
+// with no row gets a new one beside its neighbours' rows, so the merge lines it up again;
+// a token covered by another token's multi-word row can't be corrected in the CSV and
+// is counted in `skipped`. A cleared field is written as CLEARED_VALUE, since the merge
+// keeps the XML's value over an empty cell. Returns { rows, skipped }.
+export const patchCsv = (manuscript, csvData, edits) => {
+  const rows = csvData.map(row => ({ ...row }));
+  const columns = Object.keys(csvData[0] || {});
+  const sources = annotationRows(manuscript, csvData);
+  const before = new Map();
+  const after = new Map();
+  const appended = [];
+  let skipped = 0;
+
+  const insert = (map, index, row) => {
+    if (!map.has(index)) map.set(index, []);
+    map.get(index).push(row);
+  };
+
+  editedTokens(manuscript, edits).forEach(({ edit, position, wordIndex, word }) => {
+    const bySource = sources[position];
+    const source = bySource.get(wordIndex);
+    if (source && !source.head) {
+      skipped++;
+      return;
+    }
+    if (source) {
+      ANNOTATION_FIELDS.forEach(({ field, column }) => {
+        if (field in edit.fields) rows[source.index][column] = edit.fields[field] || CLEARED_VALUE;
+      });
+      return;
+    }
+
+    const edited = { ...word, ...edit.fields };
+    const row = {
+      ...Object.fromEntries(columns.map(column => [column, ''])),
+      O: word.ogeo,
+      ...Object.fromEntries(ANNOTATION_FIELDS.map(({ field, column }) => [
+        column, field in edit.fields ? edit.fields[field] || CLEARED_VALUE : edited[field]
+      ]))
+    };
+    const previous = [...bySource].filter(([idx]) => idx < wordIndex).sort((a, b) => b[0] - a[0])[0];
+    const next = [...bySource].filter(([idx]) => idx > wordIndex).sort((a, b) => a[0] - b[0])[0];
+    // A new row copies its neighbour's verse reference, so it's written the way that
+    // CSV writes it, and no existing row changes
+    if (previous) {
+      row['Unnamed: 0'] = rows[previous[1].index]['Unnamed: 0'];
+      insert(after, previous[1].index, row);
+    } else if (next) {
+      row['Unnamed: 0'] = rows[next[1].index]['Unnamed: 0'];
+      insert(before, next[1].index, row);
+    } else {
+      row['Unnamed: 0'] = (leadingVerse(manuscript.paragraphs[position].index) || '').replace(',', '.');
+      appended.push(row);
+    }
+  });
+
+  const patched = [
+    ...rows.flatMap((row, idx) => [...(before.get(idx) || []), row, ...(after.get(idx) || [])]),
+    ...appended
+  ];
+  // The unnamed first column is the pandas row index
+  if (columns[0] === '') patched.forEach((row, idx) => { row[''] = String(idx); });
+  return { rows: patched, skipped };
+};
+
+// Serialise rows the way pandas wrote the annotation CSVs, quoting only values that need
+// it (papaparse also quotes values with surrounding spaces, which would touch every line)
+const csvValue = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (fields, rows, newline = '\n') => [fields, ...rows.map(row => fields.map(field => row[field]))]
+  .map(values => values.map(csvValue).join(','))
+  .join(newline) + newline;
@@ -0,0 +1,26 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { mergeAnnotations } from './annotations.js';
+import { patchCsv, setTokenEdit } from './annotationEdits.js';
+
+const word = (ogeo, lemma, english) => ({ ogeo, lemma, grammar: '', english, greek: '', armenian: '', id: '' });
+
+const row = (ref, form, lemma, english) => ({ 'Unnamed: 0': ref, O: form, Lemma: lemma, Gram: '', Eng: english, Grc: '', Arm: '' });
+
+test('a field cleared in the editor stays cleared when the corpus is rebuilt from the patched CSV', () => {
+  // The XML gives the English; the CSV only adds the lemma
+  const xml = { paragraphs: [{ index: '1,1', text: '', translation: '', words: [word('წიგნი', '', 'book'), word('სიტყუათა', '', 'words')] }] };
+  const csv = [row('1.1', 'წიგნი', 'წიგნ', ''), row('', 'სიტყუათა', 'სიტყუაჲ', '')];
+  const merged = mergeAnnotations(xml, csv);
+  assert.equal(merged.paragraphs[0].words[0].english, 'book');
+
+  const edits = setTokenEdit({}, merged, 0, 0, { english: '' });
+  const { rows } = patchCsv(merged, csv, edits);
+  assert.equal(rows[0].Eng, 'nan');
+  assert.deepEqual(rows.slice(1), csv.slice(1));
+
+  const rebuilt = mergeAnnotations(xml, rows).paragraphs[0].words;
+  assert.equal(rebuilt[0].english, '');
+  assert.equal(rebuilt[0].lemma, 'წიგნ');
+  assert.equal(rebuilt[1].english, 'words');
+});
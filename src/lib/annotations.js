@@ -0,0 +1,202 @@
+import { alignSequences } from './align.js';
+import { leadingVerse, normaliseVerseRef } from './verses.js';
+
+// Fields that a CSV row can contribute to an XML token, with their CSV column names
+export const ANNOTATION_FIELDS = [
+  { field: 'lemma', column: 'Lemma' },
+  { field: 'grammar', column: 'Gram' },
+  { field: 'english', column: 'Eng' },
+  { field: 'greek', column: 'Grc' },
+  { field: 'armenian', column: 'Arm' }
+];
+
+// A token with no Greek or Armenian equivalent has "×" in that field
+export const NO_EQUIVALENT = '×';
+
+// A CSV value that clears the field rather than leaving the XML's: "nan", the way pandas
+// writes missing values into the XML. An empty cell just has nothing to add.
+export const CLEARED_VALUE = 'nan';
+
+// Reduce a Georgian word form to something comparable between the XML and the CSVs:
+// drop bracketed transliterations ("ტობისნი [t'obi-sni]") and Latin editorial marks,
+// unwrap editorial supplements ("[მამცნ]ებ"), and strip punctuation, "+" additions and the
+// morpheme hyphens both sources use ("ნათესავისა-გან", "თანა-მოვიდოდეს").
+export const normaliseForm = (form) => String(form ?? '')
+  .replace(/\[[^\]]*[A-Za-z][^\]]*\]/g, ' ')
+  .replace(/\b[A-Za-z]+\b/g, ' ')
+  .replace(/[[\]+.,:;?!·"'()~˜*-]/g, '')
+  .replace(/\s+/g, ' ')
+  .trim()
+  .toLowerCase();
+
+const rowAnnotation = (row) => Object.fromEntries(
+  ANNOTATION_FIELDS.map(({ field, column }) => [field, String(row[column] ?? '').trim()])
+);
+
+// Rows without a verse reference continue the verse of the row above them
+const groupRowsByVerse = (csvData) => {
+  const verses = new Map();
+  let currentVerse = '';
+
+  csvData.forEach((row, idx) => {
+    const ref = leadingVerse(row['Unnamed: 0']);
+    if (ref) currentVerse = ref;
+
+    const entry = {
+      index: idx,
+      line: idx + 2, // spreadsheet line, counting the header
+      verse: currentVerse,
+      form: String(row.O ?? '').trim(),
+      annotation: rowAnnotation(row)
+    };
+
+    if (!verses.has(currentVerse)) verses.set(currentVerse, []);
+    verses.get(currentVerse).push(entry);
+  });
+
+  return verses;
+};
+
+// Align the CSV rows of one verse with the XML tokens of the same verse.
+// Exact form matches anchor the alignment; equal-sized gaps between anchors are
+// then paired by position so spelling differences still line up.
+const alignVerse = (words, rows) => {
+  const tokenForms = words.map(word => normaliseForm(word.ogeo));
+
+  // A row such as "გაბელის თანა" covers several XML tokens
+  const rowWords = [];
+  rows.forEach((row, rowIdx) => {
+    normaliseForm(row.form).split(' ').filter(Boolean).forEach((form, part) => {
+      rowWords.push({ rowIdx, part, form });
+    });
+  });
+
+  const ops = alignSequences(tokenForms, rowWords, (form, rowWord) => form !== '' && form === rowWord.form);
+  const pairs = [];
+  let gapTokens = [];
+  let gapRowWords = [];
+
+  const closeGap = () => {
+    if (gapTokens.length > 0 && gapTokens.length === gapRowWords.length) {
+      gapTokens.forEach((tokenIdx, k) => {
+        pairs.push({ tokenIdx, rowWord: rowWords[gapRowWords[k]], positional: true });
+      });
+    }
+    gapTokens = [];
+    gapRowWords = [];
+  };
+
+  ops.forEach(op => {
+    if (op.type === 'match') {
+      closeGap();
+      pairs.push({ tokenIdx: op.a, rowWord: rowWords[op.b], positional: false });
+    } else if (op.type === 'delete') {
+      gapTokens.push(op.a);
+    } else {
+      gapRowWords.push(op.b);
+    }
+  });
+  closeGap();
+
+  return pairs;
+};
+
+// The CSV row each token of a verse takes its annotation from, and the rows used at all
+const matchVerseRows = (words, rows) => {
+  const annotatedBy = new Map();
+  const usedRows = new Set();
+  alignVerse(words, rows).forEach(({ tokenIdx, rowWord, positional }) => {
+    usedRows.add(rowWord.rowIdx);
+    // Only the first token of a multi-word row takes its annotation
+    if (rowWord.part === 0 || !annotatedBy.has(tokenIdx)) {
+      annotatedBy.set(tokenIdx, { row: rows[rowWord.rowIdx], positional, head: rowWord.part === 0 });
+    }
+  });
+  return { annotatedBy, usedRows };
+};
+
+// The verse whose CSV rows a paragraph takes: the reference its <index> starts with, since
+// a few run on into the text ("8,9 და დაიძინეს…"), or else the <index> as written
+const verseOf = (para) => leadingVerse(para.index) ?? normaliseVerseRef(para.index);
+
+// For each paragraph position, the CSV rows its tokens were matched to:
+// Map of word index → { index (into csvData), head }. Used to write edits back to the CSV.
+export const annotationRows = (manuscript, csvData) => {
+  const rowsByVerse = groupRowsByVerse(csvData || []);
+  return manuscript.paragraphs.map(para => {
+    const rows = rowsByVerse.get(verseOf(para));
+    if (!rows || para.words.length === 0) return new Map();
+    const { annotatedBy } = matchVerseRows(para.words, rows);
+    return new Map([...annotatedBy].map(([tokenIdx, { row, head }]) => [tokenIdx, { index: row.index, head }]));
+  });
+};
+
+// Merge CSV annotations into the XML structure, verse by verse.
+// Returns the manuscript with a `mergeReport` listing everything an editor should check.
+export const mergeAnnotations = (manuscript, csvData) => {
+  const report = { matched: 0, unmatchedRows: [], unmatchedTokens: [], conflicts: [] };
+  if (!csvData || csvData.length === 0) return { ...manuscript, mergeReport: report };
+
+  const rowsByVerse = groupRowsByVerse(csvData);
+  const usedVerses = new Set();
+
+  const paragraphs = manuscript.paragraphs.map(para => {
+    const verse = verseOf(para);
+    const rows = rowsByVerse.get(verse);
+    if (!rows) {
+      para.words.forEach((word, position) => {
+        report.unmatchedTokens.push({ verse, position, form: word.ogeo });
+      });
+      return para;
+    }
+    if (para.words.length === 0) return para;
+    usedVerses.add(verse);
+
+    const { annotatedBy, usedRows } = matchVerseRows(para.words, rows);
+
+    rows.forEach((row, rowIdx) => {
+      if (!usedRows.has(rowIdx)) {
+        report.unmatchedRows.push({ line: row.line, verse, form: row.form, reason: 'position' });
+      }
+    });
+
+    const words = para.words.map((word, position) => {
+      const match = annotatedBy.get(position);
+      if (!match) {
+        report.unmatchedTokens.push({ verse, position, form: word.ogeo });
+        return word;
+      }
+      report.matched++;
+      const { row, positional, head } = match;
+
+      if (positional && normaliseForm(row.form) !== normaliseForm(word.ogeo)) {
+        report.conflicts.push({ line: row.line, verse, position, form: word.ogeo, field: 'form', xml: word.ogeo, csv: row.form });
+      }
+      if (!head) return word;
+
+      const merged = { ...word };
+      ANNOTATION_FIELDS.forEach(({ field }) => {
+        const csvValue = row.annotation[field];
+        if (!csvValue) return;
+        const value = csvValue === CLEARED_VALUE ? '' : csvValue;
+        if (word[field] && word[field] !== value) {
+          report.conflicts.push({ line: row.line, verse, position, form: word.ogeo, field, xml: word[field], csv: csvValue });
+        }
+        merged[field] = value;
+      });
+      return merged;
+    });
+
+    return { ...para, words };
+  });
+
+  rowsByVerse.forEach((rows, verse) => {
+    if (usedVerses.has(verse)) return;
+    rows.forEach(row => {
+      report.unmatchedRows.push({ line: row.line, verse, form: row.form, reason: 'verse' });
+    });
+  });
+  report.unmatchedRows.sort((a, b) => a.line - b.line);
+
+  return { ...manuscript, paragraphs, mergeReport: report };
+};
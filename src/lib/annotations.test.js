@@ -0,0 +1,29 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { annotationRows, mergeAnnotations } from './annotations.js';
+
+const word = (ogeo) => ({ ogeo, lemma: '', grammar: '', english: '', greek: '', armenian: '', id: '' });
+
+const row = (ref, form, lemma, gram) => ({ 'Unnamed: 0': ref, O: form, Lemma: lemma, Gram: gram, Eng: '', Grc: '', Arm: '' });
+
+const manuscript = (index, forms) => ({
+  paragraphs: [{ index, text: '', translation: '', words: forms.map(word) }]
+});
+
+test('a paragraph whose <index> runs on into the text takes the rows of its verse', () => {
+  const csv = [row('8.9', 'და', 'და', 'CONJ'), row('', 'ჰრქუა', 'ტყუ', 'V.S3.O3.Sg')];
+  const ms = manuscript('8,9 და დაიძინეს ზოგად მას ღამესა.', ['და', 'ჰრქუა']);
+
+  const merged = mergeAnnotations(ms, csv);
+  assert.deepEqual(merged.paragraphs[0].words.map(w => w.lemma), ['და', 'ტყუ']);
+  assert.equal(merged.mergeReport.matched, 2);
+  assert.deepEqual(merged.mergeReport.unmatchedRows, []);
+
+  assert.deepEqual([...annotationRows(ms, csv)[0]], [[0, { index: 0, head: true }], [1, { index: 1, head: true }]]);
+});
+
+test('a reference with no space before the text, or naming two verses, is filed under its first verse', () => {
+  const csv = [row('9.3.4', 'შენ', 'შენ', 'PRON.Nom.Sg')];
+  assert.equal(mergeAnnotations(manuscript('9,3.4', ['შენ']), csv).mergeReport.matched, 1);
+  assert.equal(mergeAnnotations(manuscript('2.7ხოლო', ['ხოლო']), [row('2.7', 'ხოლო', 'ხოლო', 'CONJ')]).mergeReport.unmatchedRows.length, 0);
+});
@@ -0,0 +1,175 @@
+import { editDistance } from './align.js';
+import { diffTokens, verseMap } from './collation.js';
+import { normaliseForm } from './annotations.js';
+import { leadingVerse } from './verses.js';
+import { escapeXml } from './xml.js';
+
+const wordsText = (words) => words.map(word => word.ogeo).join(' ');
+const formsKey = (words) => words.map(word => normaliseForm(word.ogeo)).join(' ');
+
+// Lemmas are themselves spelt differently across witnesses (ტყუენ / ტყუჱნ),
+// so near-identical strings count as the same word
+const SPELLING_TOLERANCE = 1 / 3;
+
+const similar = (a, b) => Boolean(a) && Boolean(b)
+  && editDistance(a, b) <= SPELLING_TOLERANCE * Math.max(a.length, b.length);
+
+const sameWord = (a, b) => (a.lemma && a.lemma === b.lemma)
+  || similar(a.lemma, b.lemma)
+  || similar(normaliseForm(a.ogeo), normaliseForm(b.ogeo));
+
+// A substitution of the same words is a spelling variant; anything else
+// changes the wording of the text
+const readingKind = (entry) => {
+  if (entry.type !== 'substitution') return entry.type;
+  const sameWords = entry.base.length === entry.witness.length
+    && entry.base.every((word, i) => sameWord(word, entry.witness[i]));
+  return sameWords ? 'orthographic' : 'lexical';
+};
+
+// Build the apparatus of `base` against the other witnesses, one block per base verse.
+// Each block lists its variant locations; readings shared by several witnesses are merged.
+export const buildApparatus = (base, witnesses) => {
+  const others = witnesses
+    .filter(witness => witness.siglum !== base.siglum)
+    .map(witness => ({ siglum: witness.siglum, verses: verseMap(witness) }));
+
+  const verses = [];
+  base.paragraphs.forEach((para, position) => {
+    const ref = leadingVerse(para.index);
+    if (!ref || para.words.length === 0) return;
+
+    const locations = new Map();
+    const lacking = [];
+
+    others.forEach(({ siglum, verses: witnessVerses }) => {
+      const witnessPara = witnessVerses.get(ref);
+      if (!witnessPara || witnessPara.words.length === 0) {
+        lacking.push(siglum);
+        return;
+      }
+
+      diffTokens(para.words, witnessPara.words).forEach(entry => {
+        // Punctuation-only differences are not variants
+        if (entry.type === 'same' || formsKey(entry.base) === formsKey(entry.witness)) return;
+
+        // Additions are anchored after the preceding base word
+        const key = `${entry.baseStart}:${entry.base.length}`;
+        if (!locations.has(key)) {
+          locations.set(key, {
+            baseStart: entry.baseStart,
+            baseText: wordsText(entry.base),
+            after: entry.base.length === 0 ? wordsText(para.words.slice(Math.max(0, entry.baseStart - 1), entry.baseStart)) : '',
+            readings: []
+          });
+        }
+
+        const location = locations.get(key);
+        const kind = readingKind(entry);
+        const text = wordsText(entry.witness);
+        const existing = location.readings.find(reading => reading.kind === kind && formsKey(reading.words) === formsKey(entry.witness));
+        if (existing) existing.sigla.push(siglum);
+        else location.readings.push({ kind, text, words: entry.witness, sigla: [siglum] });
+      });
+    });
+
+    const entries = [...locations.values()].sort((a, b) => a.baseStart - b.baseStart);
+    if (entries.length > 0 || lacking.length > 0) {
+      verses.push({ ref, position, lacking, entries });
+    }
+  });
+
+  return { base: base.siglum, witnesses: others.map(other => other.siglum), verses };
+};
+
+const formatReading = (reading) => {
+  const sigla = reading.sigla.join(' ');
+  if (reading.kind === 'omission') return `om. ${sigla}`;
+  if (reading.kind === 'addition') return `+ ${reading.text} ${sigla}`;
+  return [reading.text, sigla, reading.kind === 'orthographic' ? 'orth.' : ''].filter(Boolean).join(' ');
+};
+
+// Spelling variants come first, separated from substantive ones by a double bar
+export const formatEntry = (entry) => {
+  const orthographic = entry.readings.filter(reading => reading.kind === 'orthographic');
+  const substantive = entry.readings.filter(reading => reading.kind !== 'orthographic');
+  const lemma = entry.baseText || (entry.after ? `post ${entry.after}` : 'init.');
+  const groups = [orthographic, substantive]
+    .filter(group => group.length > 0)
+    .map(group => group.map(formatReading).join(' | '));
+  return `${lemma} ] ${groups.join(' ‖ ')}`;
+};
+
+export const apparatusToText = (apparatus, title) => {
+  const lines = [
+    title,
+    `Base: ${apparatus.base}; witnesses: ${apparatus.witnesses.join(', ')}`,
+    ''
+  ];
+  apparatus.verses.forEach(verse => {
+    lines.push(verse.ref);
+    if (verse.lacking.length > 0) lines.push(`  deest in ${verse.lacking.join(' ')}`);
+    verse.entries.forEach(entry => lines.push(`  ${formatEntry(entry)}`));
+  });
+  return `${lines.join('\n')}\n`;
+};
+
+const witRef = (sigla) => sigla.map(siglum => `#${siglum}`).join(' ');
+
+// TEI P5 location-referenced apparatus, external to the base text: one <app> per variant
+// location, its `loc` the verse and its <lem> the base reading there
+export const apparatusToTei = (apparatus, manuscripts, title) => {
+  const witnesses = manuscripts
+    .filter(manuscript => manuscript.siglum === apparatus.base || apparatus.witnesses.includes(manuscript.siglum))
+    .map(manuscript => `          <witness xml:id="${escapeXml(manuscript.siglum)}">${escapeXml(manuscript.title)}</witness>`);
+
+  const body = apparatus.verses.map(verse => {
+    const apps = verse.entries.map(entry => {
+      const readings = entry.readings.map(reading => (
+        reading.kind === 'omission'
+          ? `          <rdg wit="${witRef(reading.sigla)}" type="omission"/>`
+          : `          <rdg wit="${witRef(reading.sigla)}" type="${reading.kind}">${escapeXml(reading.text)}</rdg>`
+      ));
+      return [
+        `        <app loc="${verse.ref.replace(',', '.')}">`,
+        entry.baseText
+          ? `          <lem wit="#${escapeXml(apparatus.base)}">${escapeXml(entry.baseText)}</lem>`
+          : `          <lem wit="#${escapeXml(apparatus.base)}"/>`,
+        ...readings,
+        '        </app>'
+      ].join('\n');
+    });
+    const lacking = verse.lacking.length > 0
+      ? [`        <note type="lacuna" target="${witRef(verse.lacking)}">deest</note>`]
+      : [];
+    return [`      <ab n="${verse.ref.replace(',', '.')}">`, ...lacking, ...apps, '      </ab>'].join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<TEI xmlns="http://www.tei-c.org/ns/1.0">
+  <teiHeader>
+    <fileDesc>
+      <titleStmt>
+        <title>${escapeXml(title)}</title>
+      </titleStmt>
+      <publicationStmt>
+        <p>Generated from the Tobit manuscripts corpus</p>
+      </publicationStmt>
+      <sourceDesc>
+        <listWit>
+${witnesses.join('\n')}
+        </listWit>
+      </sourceDesc>
+    </fileDesc>
+    <encodingDesc>
+      <variantEncoding method="location-referenced" location="external"/>
+    </encodingDesc>
+  </teiHeader>
+  <text>
+    <body>
+${body.join('\n')}
+    </body>
+  </text>
+</TEI>
+`;
+};
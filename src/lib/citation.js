@@ -0,0 +1,128 @@
+import { buildHash } from './router.js';
+import { leadingVerseRef } from './verses.js';
+
+// Citations of a witness, or of one verse in it, as the edition's readers need them:
+// Chicago and MLA as plain text, BibTeX and CSL-JSON for reference managers. They are
+// built from the TEI header metadata (editor, publisher, pubPlace, publishDate).
+
+export const CITATION_FORMATS = [
+  { id: 'chicago', label: 'Chicago' },
+  { id: 'mla', label: 'MLA' },
+  { id: 'bibtex', label: 'BibTeX', extension: 'bib', type: 'application/x-bibtex' },
+  { id: 'csl', label: 'CSL-JSON', extension: 'json', type: 'application/json' }
+];
+
+const EDITION_TITLE = 'ტობის წიგნის მრავალენოვანი ანოტირებული ელექტრონული პარალელური კორპუსული გამოცემა';
+
+const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+
+// Georgian names are written given name first: "ნათია დუნდუა"
+const splitName = (name) => {
+  const parts = name.trim().split(/\s+/);
+  return parts.length > 1 ? { family: parts[parts.length - 1], given: parts.slice(0, -1).join(' ') } : { family: parts[0], given: '' };
+};
+
+const invertedName = ({ family, given }) => (given ? `${family}, ${given}` : family);
+
+const joined = (parts, separator) => parts.filter(Boolean).join(separator);
+
+// Stable link to the witness or verse: by siglum and verse reference, or by paragraph
+// number for the few paragraphs without one
+export const citationLink = (siteUrl, manuscript, position = null) => {
+  const para = position === null ? null : manuscript.paragraphs[position];
+  const ref = para && leadingVerseRef(para.index);
+  const route = { view: 'manuscript', siglum: manuscript.siglum };
+  if (ref) Object.assign(route, { chapter: ref.chapter, verse: ref.verse });
+  else if (para) route.paragraph = position;
+  return `${siteUrl}${buildHash(route)}`;
+};
+
+// Everything the formats share. `position` is the cited paragraph, or null for the witness.
+export const citationData = (manuscript, { position = null, siteUrl, accessed = new Date() }) => {
+  const para = position === null ? null : manuscript.paragraphs[position];
+  const ref = para && leadingVerseRef(para.index);
+  return {
+    siglum: manuscript.siglum,
+    title: manuscript.title,
+    editor: manuscript.editor ? splitName(manuscript.editor) : null,
+    publisher: manuscript.publisher,
+    pubPlace: manuscript.pubPlace,
+    year: manuscript.publishDate,
+    idno: manuscript.idno,
+    location: manuscript.location,
+    ref,
+    paragraph: para && !ref ? String(para.index) : null,
+    url: citationLink(siteUrl, manuscript, position),
+    accessed
+  };
+};
+
+const chicagoLocator = (data) => (data.ref ? `Tob ${data.ref.chapter}:${data.ref.verse}` : data.paragraph);
+const mlaLocator = (data) => (data.ref ? `Tob. ${data.ref.chapter}.${data.ref.verse}` : data.paragraph);
+
+const chicago = (data) => {
+  const editor = data.editor ? `${invertedName(data.editor)}, ed. ` : '';
+  const part = joined([`"${data.title},"`, joined([`witness ${data.siglum}`, chicagoLocator(data)], ', ')], ' ');
+  const imprint = joined([joined([data.pubPlace, data.publisher], ': '), data.year], ', ');
+  return `${editor}${part}. In ${EDITION_TITLE}.${imprint ? ` ${imprint}.` : ''} ${data.url}.`;
+};
+
+const mla = (data) => {
+  const { accessed } = data;
+  const editor = data.editor ? `${invertedName(data.editor)}, editor. ` : '';
+  const part = joined([`"${data.title},"`, joined([`witness ${data.siglum}`, mlaLocator(data)], ', ')], ' ');
+  return `${editor}${part}. ${joined([EDITION_TITLE, data.publisher, data.year, data.url], ', ')}. `
+    + `Accessed ${accessed.getDate()} ${MLA_MONTHS[accessed.getMonth()]} ${accessed.getFullYear()}.`;
+};
+
+const isoDate = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+  .map((part, idx) => String(part).padStart(idx === 0 ? 4 : 2, '0'))
+  .join('-');
+
+const citationKey = (data) => joined(['tobit', data.siglum, data.ref && `${data.ref.chapter}-${data.ref.verse}`, data.paragraph && `p${data.paragraph}`], '-')
+  .replace(/[^A-Za-z0-9-]/g, '');
+
+const bibtexValue = (value) => String(value).replace(/([\\{}%&$#_])/g, '\\$1');
+
+const bibtex = (data) => {
+  const fields = [
+    ['editor', data.editor && invertedName(data.editor)],
+    ['title', joined([data.title, `witness ${data.siglum}`, chicagoLocator(data)], ', ')],
+    ['booktitle', EDITION_TITLE],
+    ['publisher', data.publisher],
+    ['address', data.pubPlace],
+    ['year', data.year],
+    ['url', data.url],
+    ['urldate', isoDate(data.accessed)],
+    ['note', joined([data.idno && `Shelfmark ${data.idno}`, data.location], '; ')]
+  ].filter(([, value]) => value);
+  const width = Math.max(...fields.map(([name]) => name.length));
+  return `@misc{${citationKey(data)},\n${fields
+    .map(([name, value]) => `  ${name.padEnd(width)} = {${name === 'url' ? value : bibtexValue(value)}}`)
+    .join(',\n')}\n}`;
+};
+
+const dateParts = (date) => ({ 'date-parts': [[date.getFullYear(), date.getMonth() + 1, date.getDate()]] });
+
+const csl = (data) => JSON.stringify([{
+  id: citationKey(data),
+  type: 'manuscript',
+  title: joined([data.title, `witness ${data.siglum}`], ', '),
+  'container-title': EDITION_TITLE,
+  ...(data.editor ? { editor: [data.editor] } : {}),
+  ...(data.publisher ? { publisher: data.publisher } : {}),
+  ...(data.pubPlace ? { 'publisher-place': data.pubPlace } : {}),
+  ...(/^\d{4}$/.test(data.year || '') ? { issued: { 'date-parts': [[Number(data.year)]] } } : {}),
+  ...(chicagoLocator(data) ? { section: chicagoLocator(data) } : {}),
+  ...(data.idno ? { 'call-number': data.idno } : {}),
+  ...(data.location ? { archive: data.location } : {}),
+  URL: data.url,
+  accessed: dateParts(data.accessed)
+}], null, 2);
+
+const FORMATTERS = { chicago, mla, bibtex, csl };
+
+export const formatCitation = (data, format) => FORMATTERS[format](data);
+
+// Only BibTeX and CSL-JSON are offered as files; Chicago and MLA are copied as text
+export const citationFilename = (data, format) => `${citationKey(data)}.${CITATION_FORMATS.find(item => item.id === format).extension}`;
@@ -0,0 +1,75 @@
+import { alignSequences } from './align.js';
+import { normaliseForm } from './annotations.js';
+import { leadingVerse, parseVerseRef } from './verses.js';
+
+export const compareVerseRefs = (a, b) => {
+  const x = parseVerseRef(a);
+  const y = parseVerseRef(b);
+  return x.chapter - y.chapter || x.verse - y.verse;
+};
+
+// Map "c,v" → paragraph for one witness, by the reference each <index> starts with;
+// chapter headers and stray text are skipped
+export const verseMap = (manuscript) => {
+  const verses = new Map();
+  manuscript.paragraphs.forEach(para => {
+    const ref = leadingVerse(para.index);
+    if (ref && !verses.has(ref)) verses.set(ref, para);
+  });
+  return verses;
+};
+
+// Every verse reference attested by at least one witness, in canonical order
+export const allVerseRefs = (manuscripts) => {
+  const refs = new Set();
+  manuscripts.forEach(manuscript => {
+    verseMap(manuscript).forEach((para, ref) => refs.add(ref));
+  });
+  return [...refs].sort(compareVerseRefs);
+};
+
+// Token-level diff of a witness against the base text.
+// Runs of unaligned tokens between two agreements become a single operation:
+//   same          - the witness agrees with the base
+//   substitution  - base words replaced by different witness words
+//   omission      - base words missing from the witness
+//   addition      - witness words absent from the base
+export const diffTokens = (baseWords, witnessWords) => {
+  const ops = alignSequences(
+    baseWords.map(word => normaliseForm(word.ogeo)),
+    witnessWords.map(word => normaliseForm(word.ogeo))
+  );
+
+  const diff = [];
+  let base = [];
+  let witness = [];
+
+  const flush = () => {
+    if (base.length > 0 && witness.length > 0) diff.push({ type: 'substitution', base, witness });
+    else if (base.length > 0) diff.push({ type: 'omission', base, witness: [] });
+    else if (witness.length > 0) diff.push({ type: 'addition', base: [], witness });
+    base = [];
+    witness = [];
+  };
+
+  ops.forEach(op => {
+    if (op.type === 'match') {
+      flush();
+      diff.push({ type: 'same', base: [baseWords[op.a]], witness: [witnessWords[op.b]] });
+    } else if (op.type === 'delete') {
+      base.push(baseWords[op.a]);
+    } else {
+      witness.push(witnessWords[op.b]);
+    }
+  });
+  flush();
+
+  // Record where each variant sits in the base text, for anchoring apparatus entries
+  let position = 0;
+  diff.forEach(entry => {
+    entry.baseStart = position;
+    position += entry.base.length;
+  });
+
+  return diff;
+};
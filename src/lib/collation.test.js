@@ -0,0 +1,10 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { verseMap } from './collation.js';
+
+const para = (index) => ({ index, text: '', translation: '', words: [] });
+
+test('verses are mapped by the reference their <index> starts with', () => {
+  const verses = verseMap({ paragraphs: ['II', '2,6', '2.7 ხოლო მო-რა-ვიჴსენე ესე', '8,9 და დაიძინეს', '6,2და შთავიდა'].map(para) });
+  assert.deepEqual([...verses.keys()], ['2,6', '2,7', '8,9', '6,2']);
+});
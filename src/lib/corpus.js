@@ -0,0 +1,68 @@
+// Compact JSON form of a parsed manuscript, written by scripts/build-corpus.js
+// and read back by the app. Words are stored as arrays in WORD_FIELDS order.
+export const WORD_FIELDS = ['ogeo', 'lemma', 'grammar', 'english', 'greek', 'armenian', 'id'];
+
+// Manuscript metadata without its text, as listed in the corpus index
+export const manuscriptMetadata = (manuscript) => {
+  const metadata = { ...manuscript };
+  delete metadata.paragraphs;
+  delete metadata.chapters;
+  delete metadata.mergeReport;
+  return metadata;
+};
+
+const withoutReport = (manuscript) => {
+  const copy = { ...manuscript };
+  delete copy.mergeReport;
+  return copy;
+};
+
+export const packManuscript = (manuscript) => ({
+  ...withoutReport(manuscript),
+  wordFields: WORD_FIELDS,
+  paragraphs: manuscript.paragraphs.map(para => ({
+    ...para,
+    words: para.words.map(word => WORD_FIELDS.map(field => word[field] ?? ''))
+  }))
+});
+
+export const unpackManuscript = ({ wordFields = WORD_FIELDS, ...manuscript }) => ({
+  ...manuscript,
+  paragraphs: manuscript.paragraphs.map(para => ({
+    ...para,
+    words: para.words.map(values => Object.fromEntries(wordFields.map((field, i) => [field, values[i] ?? ''])))
+  }))
+});
+
+const corpusUrl = (file) => `${import.meta.env.BASE_URL}corpus/${file}`;
+
+const fetchJson = async (file) => {
+  const response = await fetch(corpusUrl(file));
+  if (!response.ok) throw new Error(`${file}: ${response.status} ${response.statusText}`);
+  return response.json();
+};
+
+// Each manuscript is fetched at most once per session
+const manuscriptRequests = new Map();
+
+export const loadCorpusIndex = () => fetchJson('index.json');
+
+// The CSV merge report is only needed by editors, so it lives in its own file
+export const loadMergeReport = (entry) => fetchJson(entry.reportFile);
+
+export const loadManuscript = (entry) => {
+  if (!manuscriptRequests.has(entry.siglum)) {
+    const request = fetchJson(entry.file).then(unpackManuscript);
+    // Let a failed request be retried the next time the manuscript is opened
+    request.catch(() => manuscriptRequests.delete(entry.siglum));
+    manuscriptRequests.set(entry.siglum, request);
+  }
+  return manuscriptRequests.get(entry.siglum);
+};
+
+// The XML and CSV sources the corpus was built from, for exporting corrected copies
+export const loadSourceFile = async (file) => {
+  const response = await fetch(`${import.meta.env.BASE_URL}manuscripts/${file}`);
+  if (!response.ok) throw new Error(`${file}: ${response.status} ${response.statusText}`);
+  return response.text();
+};
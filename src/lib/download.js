@@ -0,0 +1,18 @@
+// Offer generated text to the reader as a file download
+export const downloadFile = (filename, content, type = 'text/plain') => {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+// Rows are objects sharing the same keys; papaparse is only loaded when needed
+export const downloadCsv = async (filename, rows) => {
+  const { default: Papa } = await import('papaparse');
+  downloadFile(filename, Papa.unparse(rows), 'text/csv');
+};
@@ -0,0 +1,129 @@
+import { NO_EQUIVALENT, normaliseForm } from './annotations.js';
+import { ranked, tally } from './glossary.js';
+
+// Greek equivalents are stored as they appear in the source ("τῷ υἱῷ", "μετ᾽ αὐτοῦ").
+// For lookups they are folded: accents, breathings and case dropped, final sigma unified.
+export const foldGreek = (text) => (text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/ς/g, 'σ')
+  .replace(/[.,;:·᾽’'"()[\]]/g, ' ')
+  .trim();
+
+const ARTICLES = new Set([
+  'ο', 'η', 'το', 'του', 'τησ', 'τω', 'τη', 'τον', 'την', 'οι', 'αι', 'τα', 'των', 'τοισ', 'ταισ', 'τουσ', 'τασ'
+]);
+
+// Folded words of a Greek equivalent; the article is left out unless it is all there is
+export const greekWords = (text) => {
+  const words = foldGreek(text).split(/\s+/).filter(Boolean);
+  const content = words.filter(word => !ARTICLES.has(word));
+  return content.length > 0 ? content : words;
+};
+
+// A Greek query matches a token when each query word is one of the token's Greek
+// words. A trailing "*" matches by stem, so "υἱ*" stands in for the lemma υἱός.
+export const greekMatcher = (query) => {
+  const terms = greekWords(query)
+    .map(term => (term.endsWith('*') ? { stem: term.slice(0, -1) } : { word: term }));
+  if (terms.length === 0) return null;
+  return (word) => {
+    const words = greekWords(word.greek);
+    return terms.every(term => words.some(candidate => (term.stem ? candidate.startsWith(term.stem) : candidate === term.word)));
+  };
+};
+
+const collect = (manuscripts, matches) => {
+  const occurrences = [];
+  manuscripts.forEach(manuscript => {
+    manuscript.paragraphs.forEach((para, position) => {
+      para.words.forEach((word, wordIndex) => {
+        if (matches(word)) occurrences.push({ manuscript, position, wordIndex, word });
+      });
+    });
+  });
+  return occurrences;
+};
+
+// Every token of a phrase rendered as one unit carries the whole equivalent: "ჰრქუა მან"
+// is εἶπεν, 2ասէ twice. A token continues the previous one's equivalent when both give
+// the same Greek and Armenian for different words; a word the text repeats
+// ("მოწყალებასა მოწყალებასა") has an equivalent of its own.
+const continuesEquivalent = (word, previous) => Boolean(previous)
+  && word.greek === previous.greek
+  && word.armenian === previous.armenian
+  && normaliseForm(word.ogeo) !== normaliseForm(previous.ogeo);
+
+// The Armenian parallel of a verse, which is only stored per token: each equivalent once,
+// tokens without one skipped
+export const armenianText = (words) => words
+  .filter((word, idx) => word.armenian && word.armenian !== NO_EQUIVALENT && !continuesEquivalent(word, words[idx - 1]))
+  .map(word => word.armenian)
+  .join(' ');
+
+// Counts per witness siglum for a set of occurrences
+const bySiglum = (occurrences) => {
+  const counts = {};
+  occurrences.forEach(({ manuscript }) => {
+    counts[manuscript.siglum] = (counts[manuscript.siglum] || 0) + 1;
+  });
+  return counts;
+};
+
+// Group occurrences by a key, most frequent first, keeping per-witness counts
+const groupBy = (occurrences, keyOf) => {
+  const groups = new Map();
+  occurrences.forEach(occurrence => {
+    const key = keyOf(occurrence.word);
+    if (!key) return;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(occurrence);
+  });
+  return [...groups.entries()]
+    .map(([value, items]) => ({ value, count: items.length, bySiglum: bySiglum(items), occurrences: items }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+};
+
+// Georgian (by lemma) and Armenian renderings of a Greek word
+export const greekRenderings = (manuscripts, query) => {
+  const matches = greekMatcher(query);
+  if (!matches) return null;
+  const occurrences = collect(manuscripts, matches);
+  return {
+    occurrences,
+    georgian: groupBy(occurrences, word => word.lemma.trim()).map(group => {
+      const forms = new Map();
+      group.occurrences.forEach(({ word }) => tally(forms, word.ogeo.trim()));
+      return { ...group, forms: ranked(forms) };
+    }),
+    armenian: groupBy(occurrences, word => word.armenian.trim()),
+    greek: groupBy(occurrences, word => word.greek.trim())
+  };
+};
+
+// Greek sources of a Georgian lemma, grouped on the folded Greek without the article
+export const georgianSources = (manuscripts, lemma) => {
+  const target = lemma.trim();
+  if (!target) return null;
+  const occurrences = collect(manuscripts, word => word.lemma.trim() === target);
+  return {
+    occurrences,
+    greek: groupBy(occurrences, word => greekWords(word.greek).join(' ')).map(group => {
+      const spellings = new Map();
+      group.occurrences.forEach(({ word }) => tally(spellings, word.greek.trim()));
+      return { ...group, label: ranked(spellings)[0].value };
+    }),
+    armenian: groupBy(occurrences, word => word.armenian.trim())
+  };
+};
+
+// Folded Greek words by frequency, for browsing
+export const greekHeadwords = (manuscripts) => {
+  const counts = new Map();
+  manuscripts.forEach(manuscript => manuscript.paragraphs.forEach(para => para.words.forEach(word => {
+    greekWords(word.greek).forEach(value => tally(counts, value));
+  })));
+  // Folding turned final sigma into σ; put it back for display
+  return ranked(counts).map(item => ({ ...item, label: item.value.replace(/σ$/, 'ς') }));
+};
@@ -0,0 +1,17 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { armenianText } from './equivalents.js';
+
+const word = (ogeo, greek, armenian) => ({ ogeo, lemma: '', grammar: '', english: '', greek, armenian, id: '' });
+
+test('an equivalent carried by every token of a phrase is given once', () => {
+  assert.equal(armenianText([word('ჰრქუა', 'εἶπεν', '2ասէ'), word('მან', 'εἶπεν', '2ասէ'), word('ტობის', 'Τωβιτ', 'Տոբիթ')]), '2ասէ Տոբիթ');
+});
+
+test('a word the text repeats keeps each of its equivalents', () => {
+  assert.equal(armenianText([word('მოწყალებასა', 'ἐλεημοσύνας', 'ողորմութիւնս'), word('მოწყალებასა', 'ἐλεημοσύνας', 'ողորմութիւնս')]), 'ողորմութիւնս ողորմութիւնս');
+});
+
+test('tokens without an Armenian equivalent are skipped', () => {
+  assert.equal(armenianText([word('და', 'καὶ', 'եւ'), word('მამაჲ', '×', '×'), word('ჩემი', '', ''), word('და', 'καὶ', 'եւ')]), 'եւ եւ');
+});
@@ -0,0 +1,62 @@
+import { NO_EQUIVALENT, normaliseForm } from './annotations.js';
+
+export const tally = (counts, value) => {
+  if (!value) return;
+  counts.set(value, (counts.get(value) || 0) + 1);
+};
+
+// Values of one field with how often each occurs, most frequent first
+export const ranked = (counts) => [...counts.entries()]
+  .map(([value, total]) => ({ value, count: total }))
+  .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, 'ka'));
+
+// The "no equivalent" marker isn't a translation, so it counts as no value
+const equivalentValue = (value) => (value === NO_EQUIVALENT ? '' : value);
+
+// Every lemma in the corpus with its forms, equivalents and occurrences
+export const buildGlossary = (manuscripts) => {
+  const lemmas = new Map();
+
+  manuscripts.forEach(manuscript => {
+    manuscript.paragraphs.forEach((para, position) => {
+      para.words.forEach((word, wordIndex) => {
+        const lemma = word.lemma.trim();
+        if (!lemma) return;
+
+        if (!lemmas.has(lemma)) {
+          lemmas.set(lemma, {
+            lemma,
+            forms: new Map(),
+            english: new Map(),
+            greek: new Map(),
+            armenian: new Map(),
+            occurrences: []
+          });
+        }
+        const entry = lemmas.get(lemma);
+
+        const form = normaliseForm(word.ogeo) || word.ogeo.trim();
+        if (!entry.forms.has(form)) entry.forms.set(form, { count: 0, grams: new Map() });
+        entry.forms.get(form).count++;
+        tally(entry.forms.get(form).grams, word.grammar.trim());
+        tally(entry.english, word.english.trim());
+        tally(entry.greek, equivalentValue(word.greek.trim()));
+        tally(entry.armenian, equivalentValue(word.armenian.trim()));
+        entry.occurrences.push({ manuscript, position, wordIndex });
+      });
+    });
+  });
+
+  return [...lemmas.values()]
+    .map(entry => ({
+      ...entry,
+      count: entry.occurrences.length,
+      forms: [...entry.forms.entries()]
+        .map(([form, { count: total, grams }]) => ({ form, count: total, grams: ranked(grams) }))
+        .sort((a, b) => b.count - a.count || a.form.localeCompare(b.form, 'ka')),
+      english: ranked(entry.english),
+      greek: ranked(entry.greek),
+      armenian: ranked(entry.armenian)
+    }))
+    .sort((a, b) => a.lemma.localeCompare(b.lemma, 'ka'));
+};
@@ -0,0 +1,12 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildGlossary } from './glossary.js';
+
+const word = (greek, armenian) => ({ ogeo: 'მამაჲ', lemma: 'მამაჲ', grammar: 'N.Nom.Sg', english: 'father', greek, armenian, id: '' });
+
+test('tokens without a Greek or Armenian equivalent add none to the glossary', () => {
+  const [entry] = buildGlossary([{ siglum: 'T', paragraphs: [{ index: '1,1', words: [word('πατήρ', 'հայր'), word('×', '×'), word('', '')] }] }]);
+  assert.equal(entry.count, 3);
+  assert.deepEqual(entry.greek, [{ value: 'πατήρ', count: 1 }]);
+  assert.deepEqual(entry.armenian, [{ value: 'հայր', count: 1 }]);
+});
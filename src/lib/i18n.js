@@ -0,0 +1,58 @@
+import React, { createContext, useContext } from 'react';
+import ka from '../locales/ka.js';
+import en from '../locales/en.js';
+
+// Interface strings live in per-language catalogues under src/locales, looked up by
+// dotted key ('reader.contents'). Georgian is the reference catalogue: a key missing
+// from another language falls back to it, and a key missing everywhere shows as itself.
+const CATALOGUES = { ka, en };
+
+export const LOCALES = [
+  { id: 'ka', label: 'ქართული', short: 'ქა' },
+  { id: 'en', label: 'English', short: 'EN' }
+];
+
+const STORAGE_KEY = 'tobit-locale';
+const DEFAULT_LOCALE = 'ka';
+
+export const loadLocale = () => {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return CATALOGUES[stored] ? stored : DEFAULT_LOCALE;
+  } catch {
+    return DEFAULT_LOCALE;
+  }
+};
+
+// Without storage the choice simply isn't remembered
+export const storeLocale = (locale) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, locale);
+  } catch {
+    // ignore
+  }
+};
+
+const lookup = (catalogue, key) => key.split('.').reduce((node, part) => node?.[part], catalogue);
+
+// Fill {name} placeholders. An entry may be { one, other }, chosen by params.count.
+// When a parameter is a React element (a <strong> around a search term, say) the
+// result is a fragment instead of a string.
+export const translate = (locale, key, params = {}) => {
+  let template = lookup(CATALOGUES[locale], key) ?? lookup(CATALOGUES[DEFAULT_LOCALE], key) ?? key;
+  if (typeof template === 'object') template = params.count === 1 ? template.one : template.other;
+
+  const parts = template.split(/\{(\w+)\}/).map((part, idx) => (idx % 2 === 1 ? params[part] ?? `{${part}}` : part));
+  return parts.some(part => React.isValidElement(part))
+    ? React.createElement(React.Fragment, null, ...parts)
+    : parts.join('');
+};
+
+// { locale, setLocale, t } for the components below App
+export const I18nContext = createContext({
+  locale: DEFAULT_LOCALE,
+  setLocale: () => {},
+  t: (key, params) => translate(DEFAULT_LOCALE, key, params)
+});
+
+export const useI18n = () => useContext(I18nContext);
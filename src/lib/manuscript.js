@@ -0,0 +1,102 @@
+import { buildChapters, leadingVerse, normaliseVerseRef } from './verses.js';
+
+// Parser for the manuscript XML (root/Info/content/item/tags layout).
+// Only plain DOM Level 2 calls are used so the same code runs on the browser's
+// DOMParser and on @xmldom/xmldom in the build scripts.
+
+export const childElements = (el, name) => (el
+  ? Array.from(el.childNodes).filter(node => node.nodeType === 1 && (!name || node.nodeName === name))
+  : []);
+
+const childElement = (el, name) => childElements(el, name)[0] || null;
+
+// The XML was serialised from pandas, so missing values come through as "nan"
+export const fieldText = (el, name) => {
+  const value = childElement(el, name)?.textContent?.trim() || '';
+  return value === 'nan' ? '' : value;
+};
+
+const rawText = (el, name) => childElement(el, name)?.textContent || '';
+
+// A plain-text note may name its anchor up front: "5,1: …" for a verse,
+// "#47: …" for the token whose <id> is 47
+const NOTE_ANCHOR = /^\s*(?:#(\d+)|(\d+\s*[.,]\s*\d+))\s*:\s*/;
+
+// Editorial notes are either strings or dicts with <verse>, <id> and <note>.
+// Blank items (the serialiser writes " " placeholders) are skipped.
+const parseNotes = (notesEl) => childElements(notesEl, 'item')
+  .map(item => {
+    if (childElements(item).length > 0) {
+      return { note: fieldText(item, 'note'), verse: fieldText(item, 'verse'), tokenId: fieldText(item, 'id') };
+    }
+    const text = item.textContent.trim();
+    const anchor = text.match(NOTE_ANCHOR);
+    if (!anchor) return { note: text, verse: '', tokenId: '' };
+    return { note: text.slice(anchor[0].length), verse: anchor[2] || '', tokenId: anchor[1] || '' };
+  })
+  .filter(note => note.note && note.note !== 'nan')
+  .map((note, idx) => ({ ...note, count: idx + 1, verse: note.verse && normaliseVerseRef(note.verse) }));
+
+// Resolve each note's anchor to a paragraph position and, for token notes, a word index
+const anchorNotes = (notes, paragraphs) => notes.map(note => {
+  if (note.tokenId) {
+    for (let position = 0; position < paragraphs.length; position++) {
+      const wordIndex = paragraphs[position].words.findIndex(word => word.id === note.tokenId);
+      if (wordIndex !== -1) return { ...note, position, wordIndex };
+    }
+  } else if (note.verse) {
+    const position = paragraphs.findIndex(para => leadingVerse(para.index) === note.verse);
+    if (position !== -1) return { ...note, position, wordIndex: null };
+  }
+  return { ...note, position: null, wordIndex: null };
+});
+
+export const parseManuscript = (xmlDoc, filename) => {
+  const root = xmlDoc.documentElement;
+
+  // Parse Info section
+  const infoEl = childElement(root, 'Info');
+  const sourceDesc = childElement(infoEl, 'SourceDesc');
+
+  // Parse content section
+  const itemElements = childElements(childElement(root, 'content'), 'item');
+
+  const paragraphs = itemElements.map((item, idx) => {
+    const index = rawText(item, 'index') || idx + 1;
+    const text = rawText(item, 'text');
+    const translation = fieldText(item, 'translation');
+
+    // Parse tags (words with annotations)
+    const words = childElements(childElement(item, 'tags'), 'item').map(tagItem => ({
+      id: fieldText(tagItem, 'id'),
+      ogeo: rawText(tagItem, 'ogeo'),
+      lemma: fieldText(tagItem, 'lemma'),
+      grammar: fieldText(tagItem, 'gram'),
+      english: fieldText(tagItem, 'eng'),
+      greek: fieldText(tagItem, 'grc'),
+      armenian: fieldText(tagItem, 'arm')
+    }));
+
+    return { index, translation, words, text };
+  });
+
+  return {
+    filename,
+    siglum: filename.replace(/\.xml$/, ''),
+    title: rawText(infoEl, 'title') || 'Untitled',
+    editor: rawText(infoEl, 'editor'),
+    email: rawText(infoEl, 'email'),
+    publisher: rawText(infoEl, 'publisher'),
+    pubPlace: rawText(infoEl, 'pubPlace'),
+    publishDate: rawText(infoEl, 'publish_date'),
+    licence: fieldText(infoEl, 'licence'),
+    idno: fieldText(sourceDesc, 'idno'),
+    sourceStatus: fieldText(sourceDesc, 'sourceStatus'),
+    location: fieldText(sourceDesc, 'location'),
+    date: fieldText(sourceDesc, 'date'),
+    additionalDetail: fieldText(sourceDesc, 'additionalDetail'),
+    paragraphs,
+    chapters: buildChapters(paragraphs),
+    notes: anchorNotes(parseNotes(childElement(root, 'notes')), paragraphs)
+  };
+};
@@ -0,0 +1,111 @@
+// Simplified outline of the seas and lakes between the Aegean and the Caspian,
+// bundled so the map works offline. Points are [longitude, latitude]; everything
+// outside these polygons is drawn as land.
+export const MAP_BOUNDS = { west: 20, east: 55, south: 28, north: 48 };
+
+export const WATER = [
+  {
+    name: { ka: 'ხმელთაშუა ზღვა', en: 'Mediterranean Sea' },
+    label: [27.5, 33.5],
+    points: [
+      [20, 32.1], [21, 32.8], [22.6, 32.8], [24, 32.1], [25.1, 31.7], [27.2, 31.4], [29, 30.8], [29.9, 31.2],
+      [30.4, 31.5], [31.8, 31.5], [32.3, 31.3], [33.8, 31.1], [34.5, 31.5], [34.8, 32.1], [35, 32.8], [35.2, 33.3],
+      [35.5, 33.9], [35.8, 34.5], [35.8, 35.5], [35.9, 36], [36.2, 36.6], [35.8, 36.8], [35, 36.7], [34.6, 36.8],
+      [33.9, 36.3], [32.8, 36], [32, 36.5], [30.7, 36.9], [30.2, 36.3], [29.6, 36.2], [29.1, 36.7], [28.3, 36.9],
+      [27.4, 37], [27.3, 37.4], [27.3, 37.9], [26.3, 38.3], [26.8, 38.7], [26.7, 39.3], [26.1, 39.5], [26.2, 40],
+      [26.6, 40.6], [25.9, 40.9], [24.4, 40.9], [23.8, 40.8], [23.9, 40.4], [24.4, 40.15], [24.1, 40.2], [23.9, 40.3],
+      [23.95, 39.95], [23.7, 40.2], [23.7, 39.95], [23.35, 40], [22.95, 40.6], [22.6, 40.3], [22.95, 39.4],
+      [23.2, 39.1], [24.1, 38.6], [24.55, 38], [24, 37.65], [23.6, 37.95], [23.2, 37.3], [23.2, 36.45],
+      [22.55, 36.75], [22.5, 36.4], [22.1, 37], [21.7, 36.8], [21.65, 37.25], [21.3, 37.65], [21.35, 38.2],
+      [21.3, 38.35], [20.75, 38.95], [20.25, 39.5], [20, 39.9]
+    ]
+  },
+  {
+    name: { ka: 'კრეტა', en: 'Crete' },
+    land: true,
+    points: [
+      [23.55, 35.3], [24, 35.55], [24.5, 35.4], [25.1, 35.33], [25.7, 35.3], [26.3, 35.3], [26.2, 35],
+      [25.5, 34.98], [24.75, 34.93], [24, 35.2], [23.55, 35.2]
+    ]
+  },
+  {
+    name: { ka: 'კვიპროსი', en: 'Cyprus' },
+    land: true,
+    points: [
+      [32.3, 35.1], [32.9, 35.4], [33.7, 35.37], [34.6, 35.7], [34, 35.1], [33.9, 34.95], [33, 34.6], [32.4, 34.75]
+    ]
+  },
+  {
+    name: { ka: 'მარმარილოს ზღვა', en: 'Sea of Marmara' },
+    points: [
+      [26.2, 40.05], [26.67, 40.41], [27.5, 40.97], [28.25, 41.07], [28.98, 41], [29.9, 40.75], [29.15, 40.43],
+      [27.97, 40.35], [27.8, 40.4], [26.69, 40.34], [26.4, 40.15]
+    ]
+  },
+  {
+    name: { ka: 'შავი ზღვა', en: 'Black Sea' },
+    label: [34.5, 43.2],
+    points: [
+      [29.1, 41.2], [28, 41.9], [27.9, 42.7], [28, 43.2], [28.6, 43.8], [28.8, 44.5], [29.7, 45.2], [30.7, 46.4],
+      [31.5, 46.6], [32, 46.1], [33, 45.9], [33.4, 45.2], [33.5, 44.6], [34.3, 44.5], [35.4, 45], [36.4, 45.2],
+      [36.7, 45.1], [37.3, 44.9], [37.8, 44.7], [39.1, 44.1], [39.7, 43.6], [41, 43], [41.7, 42.15], [41.6, 41.6],
+      [40.5, 41], [39.7, 41], [38.4, 40.9], [37.9, 41], [36.3, 41.3], [35.15, 42], [34, 42], [31.8, 41.45],
+      [30.5, 41.2]
+    ]
+  },
+  {
+    name: { ka: 'აზოვის ზღვა', en: 'Sea of Azov' },
+    points: [
+      [36.5, 45.35], [35.5, 45.4], [34.8, 46.2], [36.8, 46.75], [37.55, 47.1], [38.9, 47.2], [38.3, 46.7],
+      [38.2, 46.05], [37.4, 45.3]
+    ]
+  },
+  {
+    name: { ka: 'კასპიის ზღვა', en: 'Caspian Sea' },
+    label: [50.8, 42],
+    points: [
+      [48.5, 46], [49.5, 46.6], [51.2, 47.1], [53, 46.9], [53.2, 46.3], [53, 45.3], [51.3, 45.2], [50.3, 44.5],
+      [51.2, 43.65], [52.7, 42.6], [52.8, 41.6], [53, 41], [53, 40], [53.9, 38.9], [53.9, 37.4], [54, 36.9],
+      [53, 36.7], [51.5, 36.7], [49.5, 37.5], [48.9, 38.4], [48.85, 38.75], [49.3, 39.5], [49.9, 40.35],
+      [50.4, 40.4], [49.6, 40.6], [48.9, 41.5], [48.3, 42.05], [47.5, 43], [47.5, 43.9], [47, 44.5], [47.3, 45],
+      [47.5, 45.6]
+    ]
+  },
+  {
+    name: { ka: 'სუეცის ყურე', en: 'Gulf of Suez' },
+    points: [[32.55, 29.95], [32.35, 29.6], [32.6, 29], [33.1, 28.4], [33.3, 28], [33.9, 28], [33.6, 28.3], [33.2, 28.9], [32.7, 29.6]]
+  },
+  {
+    name: { ka: 'აქაბის ყურე', en: 'Gulf of Aqaba' },
+    points: [[34.45, 28], [34.65, 28.8], [34.9, 29.5], [35, 29.45], [34.85, 28.8], [34.7, 28]]
+  },
+  {
+    name: { ka: 'ვანის ტბა', en: 'Lake Van' },
+    points: [[42.3, 38.5], [42.35, 38.8], [42.9, 39], [43.45, 38.95], [43.3, 38.45], [43, 38.35], [42.6, 38.35]]
+  },
+  {
+    name: { ka: 'სევანის ტბა', en: 'Lake Sevan' },
+    points: [[44.95, 40.6], [45.1, 40.5], [45.5, 40.35], [45.45, 40.15], [45.2, 40.2], [45, 40.35]]
+  },
+  {
+    name: { ka: 'ურმიის ტბა', en: 'Lake Urmia' },
+    points: [[45.3, 38.25], [45.7, 38], [45.9, 37.6], [45.7, 37.2], [45.4, 37.3], [45.2, 37.8]]
+  }
+];
+
+// Equirectangular projection, with longitude scaled for the latitude of the
+// map's centre so the Caucasus keeps roughly its real shape
+const SCALE = 30;
+const LON_FACTOR = Math.cos(((MAP_BOUNDS.north + MAP_BOUNDS.south) / 2) * Math.PI / 180);
+
+export const MAP_SIZE = {
+  width: Math.round((MAP_BOUNDS.east - MAP_BOUNDS.west) * LON_FACTOR * SCALE),
+  height: (MAP_BOUNDS.north - MAP_BOUNDS.south) * SCALE
+};
+
+export const project = ([lon, lat]) => [
+  (lon - MAP_BOUNDS.west) * LON_FACTOR * SCALE,
+  (MAP_BOUNDS.north - lat) * SCALE
+];
+
+export const toPath = (points) => `M${points.map(point => project(point).map(n => n.toFixed(1)).join(',')).join('L')}Z`;
@@ -0,0 +1,63 @@
+import { useEffect, useState } from 'react';
+
+// Registration of the offline service worker (src/sw.js) and the connection state the
+// reader is told about. The worker only exists in production builds; the dev server
+// serves everything fresh.
+
+// Offline when the browser says so, or when the worker has had to answer a request
+// from its cache because the network failed
+const useOffline = () => {
+  const [offline, setOffline] = useState(() => !navigator.onLine);
+
+  useEffect(() => {
+    const goOffline = () => setOffline(true);
+    const goOnline = () => setOffline(false);
+    const onMessage = (event) => {
+      if (event.data?.type === 'offline') goOffline();
+    };
+    window.addEventListener('offline', goOffline);
+    window.addEventListener('online', goOnline);
+    navigator.serviceWorker?.addEventListener('message', onMessage);
+    return () => {
+      window.removeEventListener('offline', goOffline);
+      window.removeEventListener('online', goOnline);
+      navigator.serviceWorker?.removeEventListener('message', onMessage);
+    };
+  }, []);
+
+  return offline;
+};
+
+// A new worker is waiting when a build with changed files (app or corpus data) was
+// found; applyUpdate() lets it take over and reloads the page
+export const useServiceWorker = () => {
+  const offline = useOffline();
+  const [waiting, setWaiting] = useState(null);
+
+  useEffect(() => {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    // Only an update replaces an existing controller; the first install just starts caching
+    const track = (worker) => {
+      if (!worker) return;
+      worker.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) setWaiting(worker);
+      });
+    };
+
+    navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+      .then(registration => {
+        if (registration.waiting && navigator.serviceWorker.controller) setWaiting(registration.waiting);
+        track(registration.installing);
+        registration.addEventListener('updatefound', () => track(registration.installing));
+      })
+      .catch(err => console.error('Service worker registration failed:', err));
+  }, []);
+
+  const applyUpdate = () => {
+    navigator.serviceWorker.addEventListener('controllerchange', () => window.location.reload(), { once: true });
+    waiting.postMessage({ type: 'skipWaiting' });
+  };
+
+  return { offline, updateReady: Boolean(waiting), applyUpdate };
+};
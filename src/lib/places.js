@@ -0,0 +1,51 @@
+// Gazetteer for the map view. SourceDesc/location is free text, so each place
+// lists the words that identify it there; coordinates are [longitude, latitude].
+export const PLACES = [
+  { id: 'iviron', name: { ka: 'ივირონის მონასტერი, ათონი', en: 'Iviron Monastery, Mount Athos' }, keywords: ['ივირონ', 'ათონ', 'Iviron', 'Athos'], coords: [24.29, 40.24] },
+  { id: 'oshki', name: { ka: 'ოშკი', en: 'Oshki' }, keywords: ['ოშკ', 'Oshki'], coords: [41.83, 40.57] },
+  { id: 'tbilisi-ncm', name: { ka: 'ხელნაწერთა ეროვნული ცენტრი, თბილისი', en: 'National Centre of Manuscripts, Tbilisi' }, keywords: ['ხელნაწერთა', 'თბილის', 'Tbilisi'], coords: [44.77, 41.71] },
+  { id: 'kutaisi', name: { ka: 'ქუთაისი', en: 'Kutaisi' }, keywords: ['ქუთაის', 'Kutaisi'], coords: [42.7, 42.27] },
+  { id: 'mestia', name: { ka: 'მესტია', en: 'Mestia' }, keywords: ['მესტი', 'Mestia'], coords: [42.73, 43.04] },
+  { id: 'jerusalem', name: { ka: 'ჯვრის მონასტერი, იერუსალიმი', en: 'Monastery of the Cross, Jerusalem' }, keywords: ['იერუსალიმ', 'Jerusalem'], coords: [35.21, 31.77] },
+  { id: 'sinai', name: { ka: 'წმ. ეკატერინეს მონასტერი, სინა', en: "St Catherine's Monastery, Sinai" }, keywords: ['სინა', 'Sinai'], coords: [33.98, 28.56] },
+  { id: 'matenadaran', name: { ka: 'მატენადარანი, ერევანი', en: 'Matenadaran, Yerevan' }, keywords: ['მატენადარან', 'ერევან', 'Matenadaran', 'Yerevan'], coords: [44.52, 40.19] }
+];
+
+const findPlace = (text) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+  return PLACES.find(place => place.keywords.some(keyword => value.includes(keyword))) || null;
+};
+
+// Current repository and place of origin, as recorded in the manuscript manifest
+export const witnessPlaces = (entry) => {
+  const repository = findPlace(entry.location);
+  const origin = findPlace(entry.origin);
+  return { repository, origin: origin && origin !== repository ? origin : null };
+};
+
+const ROMAN = { I: 1, V: 5, X: 10, L: 50, C: 100, M: 1000 };
+
+const romanToNumber = (roman) => [...roman.toUpperCase()].reduce((total, char, idx, chars) => {
+  const value = ROMAN[char];
+  return ROMAN[chars[idx + 1]] > value ? total - value : total + value;
+}, 0);
+
+// Parse SourceDesc/date into a year range: "978 წელი", "978-979", "XI ს.", "X-XI საუკუნე"
+export const parseDateRange = (text) => {
+  const value = (text || '').trim();
+  if (!value) return null;
+
+  const years = value.match(/\b\d{3,4}\b/g);
+  if (years) {
+    const numbers = years.map(Number);
+    return { from: Math.min(...numbers), to: Math.max(...numbers) };
+  }
+
+  const centuries = value.match(/\b[IVXLC]+\b/g);
+  if (centuries) {
+    const numbers = centuries.map(romanToNumber);
+    return { from: (Math.min(...numbers) - 1) * 100 + 1, to: Math.max(...numbers) * 100 };
+  }
+  return null;
+};
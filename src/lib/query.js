@@ -0,0 +1,190 @@
+import { normaliseForm } from './annotations.js';
+import { foldGreek } from './equivalents.js';
+
+// Searchable token fields. `form` is the default for terms without a prefix; labels
+// are in the locale catalogues under query.fields.
+export const QUERY_FIELDS = [
+  { id: 'form', read: word => normaliseForm(word.ogeo) },
+  { id: 'lemma', read: word => word.lemma },
+  { id: 'gram', read: word => word.grammar },
+  { id: 'eng', read: word => word.english },
+  { id: 'grc', read: word => word.greek },
+  { id: 'arm', read: word => word.armenian }
+];
+
+const FIELDS_BY_ID = new Map(QUERY_FIELDS.map(field => [field.id, field]));
+const OPERATORS = new Set(['AND', 'OR', 'NOT']);
+
+// Syntax errors carry a code (query.errors.* in the locale catalogues) and the offending text
+const queryError = (code, message, detail = '') => Object.assign(new Error(detail ? `${message}: ${detail}` : message), { code, detail });
+
+// Split a query such as `lemma:თავ AND (gram:*.Gen.* OR eng:"son of")` into tokens
+const tokenize = (query) => {
+  const tokens = [];
+  const pattern = /\s*(?:(\()|(\))|(?:([a-z]+):)?(?:"([^"]*)"|([^\s()"]+)))/gy;
+  let match;
+  pattern.lastIndex = 0;
+
+  while (pattern.lastIndex < query.length) {
+    const start = pattern.lastIndex;
+    match = pattern.exec(query);
+    if (!match) {
+      if (query.slice(start).trim() === '') break;
+      throw queryError('invalid', 'Invalid query', query.slice(start).trim());
+    }
+
+    const [, open, close, field, quoted, bare] = match;
+    if (open) tokens.push({ type: '(' });
+    else if (close) tokens.push({ type: ')' });
+    else if (!field && quoted === undefined && OPERATORS.has(bare)) tokens.push({ type: bare });
+    else {
+      if (field && !FIELDS_BY_ID.has(field)) {
+        throw queryError('unknownField', 'Unknown field', field);
+      }
+      tokens.push({ type: 'term', field: field || 'form', value: quoted ?? bare });
+    }
+  }
+
+  return tokens;
+};
+
+// Recursive-descent parser: OR binds loosest, then AND (explicit or implied), then NOT
+export const parseQuery = (query) => {
+  const tokens = tokenize(query);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+
+  const parseOr = () => {
+    const children = [parseAnd()];
+    while (peek()?.type === 'OR') {
+      pos++;
+      children.push(parseAnd());
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  };
+
+  const parseAnd = () => {
+    const children = [parseNot()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      if (peek().type === 'AND') pos++;
+      children.push(parseNot());
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  };
+
+  const parseNot = () => {
+    if (peek()?.type === 'NOT') {
+      pos++;
+      return { type: 'not', child: parseNot() };
+    }
+    return parsePrimary();
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw queryError('incomplete', 'Incomplete query');
+    pos++;
+    if (token.type === '(') {
+      const node = parseOr();
+      if (peek()?.type !== ')') throw queryError('missingParen', 'Missing closing parenthesis');
+      pos++;
+      return node;
+    }
+    if (token.type !== 'term') throw queryError('unexpected', 'Unexpected', token.type);
+    return token;
+  };
+
+  if (tokens.length === 0) return null;
+  const ast = parseOr();
+  if (pos < tokens.length) throw queryError('unexpected', 'Unexpected', tokens[pos].type === 'term' ? tokens[pos].value : tokens[pos].type);
+  return ast;
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// "*" and "?" wildcards always match against the whole field value
+export const globToRegExp = (value) => new RegExp(
+  `^${value.split('').map(ch => (ch === '*' ? '.*' : ch === '?' ? '.' : escapeRegExp(ch))).join('')}$`,
+  'i'
+);
+
+// `gram:Gen.Pl` matches any tag containing those components in sequence,
+// e.g. N.Gen.Pl and PN.Gen.Pl.Nom, but not N.Gen.Sg
+const gramComponentsMatcher = (value, wholeWord) => {
+  const wanted = value.toLowerCase().split('.').filter(Boolean);
+  return (tag) => {
+    const parts = tag.toLowerCase().split('.');
+    if (wholeWord) return parts.length === wanted.length && parts.every((part, i) => part === wanted[i]);
+    for (let start = 0; start + wanted.length <= parts.length; start++) {
+      if (wanted.every((part, i) => parts[start + i] === part)) return true;
+    }
+    return false;
+  };
+};
+
+const textMatcher = (field, value, { regex, wholeWord }) => {
+  if (regex) {
+    const pattern = new RegExp(wholeWord ? `^(?:${value})$` : value, 'i');
+    return text => pattern.test(text);
+  }
+  if (/[*?]/.test(value)) {
+    const pattern = globToRegExp(value);
+    return text => pattern.test(text);
+  }
+  if (field === 'gram') return gramComponentsMatcher(value, wholeWord);
+
+  // A value with nothing left to look for ("form:xyz" once Latin is dropped) matches
+  // nothing, as in the search index
+  const needle = (field === 'form' ? normaliseForm(value) : value.trim()).toLowerCase();
+  if (!needle) return () => false;
+  return wholeWord
+    ? text => text.toLowerCase() === needle
+    : text => text.toLowerCase().includes(needle);
+};
+
+// Greek is compared folded (accents, breathings and case aside), as the search index
+// stores it; regular expressions still see the text as written
+const valueMatcher = (field, value, options) => {
+  if (field !== 'grc' || options.regex) return textMatcher(field, value, options);
+  const matches = textMatcher(field, foldGreek(value), options);
+  return text => matches(foldGreek(text));
+};
+
+// Turn a parsed query into a predicate over token objects
+export const compileQuery = (ast, options = {}) => {
+  if (!ast) return () => false;
+
+  switch (ast.type) {
+    case 'and': {
+      const children = ast.children.map(child => compileQuery(child, options));
+      return word => children.every(test => test(word));
+    }
+    case 'or': {
+      const children = ast.children.map(child => compileQuery(child, options));
+      return word => children.some(test => test(word));
+    }
+    case 'not': {
+      const child = compileQuery(ast.child, options);
+      return word => !child(word);
+    }
+    default: {
+      const { read } = FIELDS_BY_ID.get(ast.field);
+      const matches = valueMatcher(ast.field, ast.value, options);
+      return word => {
+        const text = read(word);
+        return Boolean(text) && matches(text);
+      };
+    }
+  }
+};
+
+// Build a query string from the structured search form, one term per filled field
+export const buildQuery = (fields) => QUERY_FIELDS
+  .filter(({ id }) => fields[id]?.trim())
+  .map(({ id }) => {
+    const value = fields[id].trim();
+    const quoted = /[\s()"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+    return id === 'form' ? quoted : `${id}:${quoted}`;
+  })
+  .join(' AND ');
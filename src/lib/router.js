@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react';
+
+// Routes live in the URL hash so they survive reloads on GitHub Pages:
+//   #/                          home
+//   #/about, #/catalogue, #/synopsis, #/stats, #/map
+//   #/search?q=…&regex=1&whole=1&fuzzy=1
+//   #/glossary?l=…              glossary, optionally open at a lemma
+//   #/equivalents?grc=…|ka=…    renderings of a Greek word, or Greek sources of a Georgian lemma
+//   #/ms/D                      manuscript
+//   #/ms/D/5                    chapter 5
+//   #/ms/D/5/3?w=4              verse 5,3 with token 4 highlighted
+//   #/ms/D?p=12                 paragraph without a verse number
+const toNumber = (value) => (value === undefined || value === null || value === '' ? undefined : Number(value));
+
+// A hand-edited or truncated link ("#/ms/%E0") isn't valid percent-encoding; it is read as written
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return segment;
+  }
+};
+
+export const parseHash = (hash) => {
+  const [path, queryString = ''] = hash.replace(/^#\/?/, '').split('?');
+  const segments = path.split('/').filter(Boolean).map(decodeSegment);
+  const params = new URLSearchParams(queryString);
+
+  switch (segments[0]) {
+    case 'about':
+    case 'catalogue':
+    case 'synopsis':
+    case 'stats':
+    case 'map':
+      return { view: segments[0] };
+    case 'search':
+      return {
+        view: 'search',
+        query: params.get('q') || '',
+        regex: params.get('regex') === '1',
+        wholeWord: params.get('whole') === '1',
+        fuzzy: params.get('fuzzy') === '1'
+      };
+    case 'glossary':
+      return { view: 'glossary', lemma: params.get('l') || '' };
+    case 'equivalents':
+      return { view: 'equivalents', greek: params.get('grc') || '', lemma: params.get('ka') || '' };
+    case 'ms':
+      if (!segments[1]) return { view: 'home' };
+      return {
+        view: 'manuscript',
+        siglum: segments[1],
+        chapter: toNumber(segments[2]),
+        verse: toNumber(segments[3]),
+        word: toNumber(params.get('w')),
+        paragraph: toNumber(params.get('p'))
+      };
+    default:
+      return { view: 'home' };
+  }
+};
+
+export const buildHash = (route) => {
+  const params = new URLSearchParams();
+  let path = '';
+
+  switch (route.view) {
+    case 'about':
+    case 'catalogue':
+    case 'synopsis':
+    case 'stats':
+    case 'map':
+      path = route.view;
+      break;
+    case 'search':
+      path = 'search';
+      params.set('q', route.query || '');
+      if (route.regex) params.set('regex', '1');
+      if (route.wholeWord) params.set('whole', '1');
+      if (route.fuzzy) params.set('fuzzy', '1');
+      break;
+    case 'glossary':
+      path = 'glossary';
+      if (route.lemma) params.set('l', route.lemma);
+      break;
+    case 'equivalents':
+      path = 'equivalents';
+      if (route.greek) params.set('grc', route.greek);
+      if (route.lemma) params.set('ka', route.lemma);
+      break;
+    case 'manuscript':
+      path = ['ms', route.siglum, route.chapter, route.chapter !== undefined ? route.verse : undefined]
+        .filter(segment => segment !== undefined && segment !== null)
+        .map(segment => encodeURIComponent(segment))
+        .join('/');
+      if (route.word !== undefined && route.word !== null) params.set('w', route.word);
+      if (route.paragraph !== undefined && route.paragraph !== null) params.set('p', route.paragraph);
+      break;
+    default:
+      break;
+  }
+
+  const query = params.toString();
+  return `#/${path}${query ? `?${query}` : ''}`;
+};
+
+// Current route plus a navigate() that pushes a history entry, so the back button works
+export const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+
+  useEffect(() => {
+    const onHashChange = () => setRoute(parseHash(window.location.hash));
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, []);
+
+  const navigate = (next) => {
+    const hash = buildHash(next);
+    if (hash === window.location.hash) return;
+    window.location.hash = hash;
+  };
+
+  return [route, navigate];
+};
@@ -0,0 +1,16 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { buildHash, parseHash } from './router.js';
+
+test('a malformed percent-escape is read as written instead of throwing', () => {
+  assert.equal(parseHash('#/ms/%E0').siglum, '%E0');
+  assert.equal(parseHash('#/search?q=%E0').view, 'search');
+});
+
+test('routes survive a round trip through the hash', () => {
+  [
+    { view: 'manuscript', siglum: 'D', chapter: 5, verse: 3, word: 4, paragraph: undefined },
+    { view: 'search', query: 'lemma:ძე AND grc:υἱ*', regex: false, wholeWord: true, fuzzy: false },
+    { view: 'glossary', lemma: 'მამაჲ' }
+  ].forEach(route => assert.deepEqual(parseHash(buildHash(route)), route));
+});
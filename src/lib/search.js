@@ -0,0 +1,59 @@
+export const DEFAULT_CONTEXT_WORDS = 3;
+
+// Words either side of a hit, as arrays so they can be joined or sorted on
+export const kwicContext = (words, wordIndex, width = DEFAULT_CONTEXT_WORDS) => ({
+  left: words.slice(Math.max(0, wordIndex - width), wordIndex).map(w => w.ogeo),
+  right: words.slice(wordIndex + 1, wordIndex + 1 + width).map(w => w.ogeo)
+});
+
+// One KWIC hit: the token at `position`/`wordIndex` of a manuscript with its context
+export const kwicHit = (manuscript, position, wordIndex, contextWords = DEFAULT_CONTEXT_WORDS) => {
+  const paragraph = manuscript.paragraphs[position];
+  const context = kwicContext(paragraph.words, wordIndex, contextWords);
+  return {
+    word: paragraph.words[wordIndex].ogeo,
+    leftWords: context.left,
+    rightWords: context.right,
+    leftContext: context.left.join(' '),
+    rightContext: context.right.join(' '),
+    paragraphIndex: paragraph.index,
+    position,
+    wordIndex,
+    file: manuscript.filename
+  };
+};
+
+// Group hits by manuscript, dropping manuscripts without any
+export const groupHits = (manuscripts, hitsByManuscript) => manuscripts
+  .map((manuscript, idx) => ({ manuscript, results: hitsByManuscript[idx], count: hitsByManuscript[idx].length }))
+  .filter(group => group.count > 0);
+
+// Collect KWIC hits for every token accepted by `matches`, grouped by manuscript. The app
+// searches through src/lib/searchIndex.js; this scan is what its tests check it against.
+export const searchCorpus = (manuscripts, matches, { contextWords = DEFAULT_CONTEXT_WORDS } = {}) => groupHits(
+  manuscripts,
+  manuscripts.map(manuscript => manuscript.paragraphs.flatMap((paragraph, position) => paragraph.words
+    .map((word, wordIndex) => (word.ogeo && matches(word) ? kwicHit(manuscript, position, wordIndex, contextWords) : null))
+    .filter(Boolean)))
+);
+
+const compareWords = (a, b) => {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    const order = a[i].localeCompare(b[i], 'ka');
+    if (order !== 0) return order;
+  }
+  return 0;
+};
+
+// Sort hits KWIC-style: on the left context reading outwards from the hit, or on the right context
+export const sortKwic = (items, sortBy) => {
+  if (sortBy === 'left') {
+    return [...items].sort((a, b) => compareWords([...a.leftWords].reverse(), [...b.leftWords].reverse()));
+  }
+  if (sortBy === 'right') {
+    return [...items].sort((a, b) => compareWords(a.rightWords, b.rightWords));
+  }
+  return items;
+};
@@ -0,0 +1,159 @@
+import { editDistance } from './align.js';
+import { normaliseForm } from './annotations.js';
+import { foldGreek, greekWords } from './equivalents.js';
+import { ranked, tally } from './glossary.js';
+import { compileQuery, globToRegExp } from './query.js';
+import { DEFAULT_CONTEXT_WORDS, groupHits, kwicHit } from './search.js';
+
+// Spelling variants of the Old Georgian manuscripts, folded away before forms and lemmas
+// are indexed or looked up, so that სიტყუა finds სიტყვა and მისთჳს finds მისთვის.
+// Rules apply in order to the normalised form; buildSearchIndex takes another table.
+export const GEORGIAN_NORMALISATION = [
+  { pattern: /~|˜|\u0483|\u0487/g, replace: '', note: 'titlo and abbreviation marks' },
+  { pattern: /ოჳ/g, replace: 'უ', note: 'digraph ოჳ for უ' },
+  { pattern: /ჳ/g, replace: 'ვ', note: 'ჳ for ვ: თჳს, მშჳდობა' },
+  { pattern: /უ(?=[აეიო])/g, replace: 'ვ', note: 'consonantal უ: სიტყუა, ჩუენ, ქუეყანა' },
+  { pattern: /ჲ/g, replace: '', note: 'ჲ after vowels: მამაჲ, რაჲთა' },
+  { pattern: /ჱ/g, replace: 'ე', note: 'ჱ' },
+  { pattern: /ჵ/g, replace: 'ო', note: 'ჵ' },
+  { pattern: /ჴ/g, replace: 'ხ', note: 'ჴ merged with ხ in later spelling' },
+  { pattern: /ჶ/g, replace: 'ფ', note: 'ჶ' }
+];
+
+export const foldGeorgian = (text, normalisation = GEORGIAN_NORMALISATION) => normalisation
+  .reduce((folded, rule) => folded.replace(rule.pattern, rule.replace), normaliseForm(text));
+
+// Fields looked up in the index; the others (gram, eng, arm) and regular expressions
+// are still matched token by token
+const INDEXED_FIELDS = ['form', 'lemma', 'grc'];
+
+// Typos allowed by fuzzy matching, by the length of the searched term
+const fuzzyLimit = (term) => (term.length <= 3 ? 0 : term.length <= 6 ? 1 : 2);
+
+const addTerm = (terms, key, id, label) => {
+  if (!key) return;
+  if (!terms.has(key)) terms.set(key, { ids: [], labels: new Map() });
+  const entry = terms.get(key);
+  if (entry.ids[entry.ids.length - 1] !== id) entry.ids.push(id);
+  tally(entry.labels, label);
+};
+
+// Inverted index over the loaded witnesses: folded form, lemma and Greek word → token ids.
+// Token ids follow text order, manuscript by manuscript.
+export const buildSearchIndex = (manuscripts, { normalisation = GEORGIAN_NORMALISATION } = {}) => {
+  const fold = (text) => foldGeorgian(text, normalisation);
+  const tokens = [];
+  const terms = { form: new Map(), lemma: new Map(), grc: new Map() };
+
+  manuscripts.forEach((manuscript, manuscriptIndex) => {
+    manuscript.paragraphs.forEach((para, position) => {
+      para.words.forEach((word, wordIndex) => {
+        if (!word.ogeo) return;
+        const id = tokens.push({ manuscriptIndex, position, wordIndex, word }) - 1;
+        addTerm(terms.form, fold(word.ogeo), id, normaliseForm(word.ogeo));
+        addTerm(terms.lemma, fold(word.lemma), id, word.lemma.trim());
+        foldGreek(word.greek).split(/\s+/).forEach(greek => addTerm(terms.grc, greek, id, greek));
+      });
+    });
+  });
+
+  return { manuscripts, tokens, terms, fold };
+};
+
+// Fold the literal parts of a value, keeping its * and ? wildcards
+const foldPattern = (value, fold) => value
+  .split(/([*?])/)
+  .map(part => (part === '*' || part === '?' ? part : fold(part)))
+  .join('');
+
+// Index keys a folded needle matches: by wildcard pattern, exactly, as a substring,
+// or (fuzzy) within a few edits
+const matchingKeys = (terms, needle, { wholeWord, fuzzy }) => {
+  if (!needle) return [];
+  if (/[*?]/.test(needle)) {
+    const pattern = globToRegExp(needle);
+    return [...terms.keys()].filter(key => pattern.test(key));
+  }
+  const limit = fuzzy ? fuzzyLimit(needle) : 0;
+  return [...terms.keys()].filter(key => key === needle
+    || (!wholeWord && key.includes(needle))
+    || (limit > 0 && editDistance(key, needle, limit) <= limit));
+};
+
+const idsOf = (terms, keys) => new Set(keys.flatMap(key => terms.get(key).ids));
+
+const intersect = (a, b) => new Set([...a].filter(id => b.has(id)));
+
+const termIds = (index, node, options) => {
+  if (options.regex || !INDEXED_FIELDS.includes(node.field)) {
+    const matches = compileQuery(node, options);
+    return new Set(index.tokens.flatMap((token, id) => (matches(token.word) ? [id] : [])));
+  }
+
+  const terms = index.terms[node.field];
+  if (node.field === 'grc') {
+    // Tokens having every content word of the query among their Greek words are
+    // candidates; unless the match is fuzzy, the query itself then decides, so a phrase
+    // such as "τοῦ υἱοῦ" finds what a scan of the tokens would
+    const candidates = greekWords(node.value)
+      .map(word => idsOf(terms, matchingKeys(terms, word, options)))
+      .reduce((result, ids) => (result ? intersect(result, ids) : ids), null) || new Set();
+    if (options.fuzzy) return candidates;
+    const matches = compileQuery(node, options);
+    return new Set([...candidates].filter(id => matches(index.tokens[id].word)));
+  }
+  return idsOf(terms, matchingKeys(terms, foldPattern(node.value, index.fold), options));
+};
+
+// Ids of the tokens a parsed query matches
+export const queryIndex = (index, ast, options = {}) => {
+  if (!ast) return new Set();
+  switch (ast.type) {
+    case 'and':
+      return ast.children.map(child => queryIndex(index, child, options)).reduce(intersect);
+    case 'or':
+      return new Set(ast.children.flatMap(child => [...queryIndex(index, child, options)]));
+    case 'not': {
+      const excluded = queryIndex(index, ast.child, options);
+      return new Set(index.tokens.map((token, id) => id).filter(id => !excluded.has(id)));
+    }
+    default:
+      return termIds(index, ast, options);
+  }
+};
+
+// KWIC hits for a parsed query, grouped by manuscript like searchCorpus
+export const searchIndexed = (index, ast, { contextWords = DEFAULT_CONTEXT_WORDS, ...options } = {}) => {
+  const byManuscript = index.manuscripts.map(() => []);
+  [...queryIndex(index, ast, options)].sort((a, b) => a - b).forEach(id => {
+    const { manuscriptIndex, position, wordIndex } = index.tokens[id];
+    byManuscript[manuscriptIndex].push(kwicHit(index.manuscripts[manuscriptIndex], position, wordIndex, contextWords));
+  });
+  return groupHits(index.manuscripts, byManuscript);
+};
+
+// Completions for the last term of a query being typed: forms and lemmas starting with it,
+// then (from three letters on) ones a typo away. Each is { field, value, count, query }, where
+// `query` is the input with that term completed.
+export const suggestTerms = (index, input, { limit = 8 } = {}) => {
+  const match = input.match(/^(.*?)(?:\b(form|lemma):)?([^\s:()"]*)$/);
+  if (!match) return [];
+  const [, before, field, partial] = match;
+  const prefix = index.fold(partial);
+  if (prefix.length < 2) return [];
+  const typos = fuzzyLimit(prefix);
+
+  return (field ? [field] : ['form', 'lemma'])
+    .flatMap(name => [...index.terms[name]].map(([key, entry]) => {
+      const score = key.startsWith(prefix) ? 0
+        : typos > 0 && editDistance(key.slice(0, prefix.length), prefix, typos) <= typos ? 1 : null;
+      return score === null ? null : { field: name, score, value: ranked(entry.labels)[0].value, count: entry.ids.length };
+    }))
+    .filter(Boolean)
+    .sort((a, b) => a.score - b.score || b.count - a.count)
+    .slice(0, limit)
+    .map(({ field: name, value, count }) => {
+      const term = /[\s()"]/.test(value) ? `"${value}"` : value;
+      return { field: name, value, count, query: `${before}${name === 'form' ? '' : `${name}:`}${term}` };
+    });
+};
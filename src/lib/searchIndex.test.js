@@ -0,0 +1,70 @@
+import assert from 'node:assert/strict';
+import { test } from 'node:test';
+import { compileQuery } from './query.js';
+import { searchCorpus } from './search.js';
+import { buildSearchIndex, searchIndexed } from './searchIndex.js';
+
+const word = (ogeo, lemma, greek) => ({ ogeo, lemma, grammar: '', english: '', greek, armenian: '', id: '' });
+
+// Greek equivalents as the annotation files give them: phrases with their articles,
+// single words, accented and not, and the "×" of a token without one
+const manuscript = {
+  siglum: 'T',
+  filename: 'T.xml',
+  paragraphs: [
+    { index: '5,1', text: '', translation: '', words: [
+      word('ძისა', 'ძე', 'τοῦ υἱοῦ'),
+      word('მისისა', 'იგი', 'αὐτοῦ'),
+      word('ძე', 'ძე', 'υἱὸς'),
+      word('ღმერთსა', 'ღმერთი', 'τῷ θεῷ'),
+      word('და', 'და', 'καὶ')
+    ] },
+    { index: '5,2', text: '', translation: '', words: [
+      word('ღმრთისა', 'ღმერთი', 'τοῦ θεοῦ'),
+      word('ძესა', 'ძე', 'τῷ υἱῷ'),
+      word('მამაჲ', 'მამაჲ', '×'),
+      word('ჩემი', 'ჩემი', ''),
+      word('ტობი', 'ტობი', 'Τωβιθ')
+    ] }
+  ]
+};
+
+const hits = (results) => results.flatMap(group => group.results.map(hit => `${hit.position}:${hit.wordIndex}`));
+
+const bothWays = (ast, options = {}) => {
+  const indexed = hits(searchIndexed(buildSearchIndex([manuscript]), ast, options));
+  const scanned = hits(searchCorpus([manuscript], compileQuery(ast, options)));
+  return { indexed, scanned };
+};
+
+test('the index finds the tokens a scan finds for Greek words and phrases', () => {
+  const queries = ['τοῦ υἱοῦ', 'τοῦ', 'τῷ θεῷ', 'υἱοῦ', 'υιος', 'θε*', 'τῷ', 'καὶ', 'Τωβιθ', 'θεοῦ τοῦ'];
+  queries.forEach(value => {
+    const { indexed, scanned } = bothWays({ type: 'term', field: 'grc', value });
+    assert.deepEqual(indexed, scanned, `grc:"${value}"`);
+  });
+  assert.deepEqual(bothWays({ type: 'term', field: 'grc', value: 'τοῦ υἱοῦ' }).indexed, ['0:0']);
+});
+
+test('the index finds the tokens a scan finds for forms and lemmas', () => {
+  [
+    { type: 'term', field: 'form', value: 'ძე' },
+    { type: 'term', field: 'lemma', value: 'ღმერთი' },
+    { type: 'and', children: [{ type: 'term', field: 'lemma', value: 'ძე' }, { type: 'term', field: 'grc', value: 'τοῦ' }] },
+    { type: 'not', child: { type: 'term', field: 'form', value: 'და' } }
+  ].forEach(ast => {
+    const { indexed, scanned } = bothWays(ast);
+    assert.deepEqual(indexed, scanned, JSON.stringify(ast));
+  });
+});
+
+test('a value with nothing left to look for matches no token either way', () => {
+  [
+    { type: 'term', field: 'form', value: 'xyz' },
+    { type: 'term', field: 'form', value: '' },
+    { type: 'term', field: 'lemma', value: '' },
+    { type: 'term', field: 'grc', value: '' }
+  ].forEach(ast => {
+    assert.deepEqual(bothWays(ast), { indexed: [], scanned: [] }, JSON.stringify(ast));
+  });
+});
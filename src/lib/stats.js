@@ -0,0 +1,99 @@
+import { normaliseForm } from './annotations.js';
+import { allVerseRefs, verseMap } from './collation.js';
+import { parseGram } from './tagset.js';
+import { versification } from './verses.js';
+
+// A token counts as annotated once it has a lemma or a grammatical tag
+const isAnnotated = (word) => Boolean(word.lemma || word.grammar);
+
+export const manuscriptStats = (manuscript) => {
+  const words = manuscript.paragraphs.flatMap(para => para.words);
+  return {
+    tokens: words.length,
+    lemmas: new Set(words.map(word => word.lemma).filter(Boolean)).size,
+    annotated: words.filter(isAnnotated).length
+  };
+};
+
+// Verse coverage per chapter for each witness, measured against every verse
+// attested in at least one witness. Takes corpus index entries (with `verses`).
+export const verseCoverage = (entries) => {
+  const perWitness = new Map(entries.map(entry => [entry.siglum, versification(entry.verses)]));
+  const attested = versification(entries.flatMap(entry => entry.verses));
+  const chapters = [...attested.keys()].sort((a, b) => a - b);
+
+  return {
+    chapters,
+    bySiglum: new Map(entries.map(entry => [
+      entry.siglum,
+      new Map(chapters.map(chapter => {
+        const present = perWitness.get(entry.siglum).get(chapter)?.length || 0;
+        return [chapter, { present, total: attested.get(chapter).length }];
+      }))
+    ]))
+  };
+};
+
+const posOf = (word) => parseGram(word.grammar).pos || '';
+
+const tallyBy = (items, keyOf) => {
+  const counts = {};
+  items.forEach(item => {
+    const key = keyOf(item);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+  return counts;
+};
+
+// Lemma counts per witness, most frequent in the whole corpus first
+export const lemmaFrequencies = (manuscripts) => {
+  const rows = new Map();
+  manuscripts.forEach(manuscript => {
+    manuscript.paragraphs.forEach(para => para.words.forEach(word => {
+      const lemma = word.lemma.trim();
+      if (!lemma) return;
+      if (!rows.has(lemma)) rows.set(lemma, { lemma, total: 0, counts: {} });
+      const row = rows.get(lemma);
+      row.total++;
+      row.counts[manuscript.siglum] = (row.counts[manuscript.siglum] || 0) + 1;
+    }));
+  });
+  return [...rows.values()].sort((a, b) => b.total - a.total || a.lemma.localeCompare(b.lemma, 'ka'));
+};
+
+// Part-of-speech counts per witness; '' collects untagged and unrecognised tokens
+export const posDistribution = (manuscripts) => manuscripts.map(manuscript => {
+  const words = manuscript.paragraphs.flatMap(para => para.words);
+  return { siglum: manuscript.siglum, total: words.length, counts: tallyBy(words, posOf) };
+});
+
+// Part-of-speech counts per chapter of one witness, over the paragraphs the reader
+// shows with each chapter
+export const posByChapter = (manuscript) => manuscript.chapters
+  .map(({ chapter, label, positions }) => {
+    const words = positions.flatMap(position => manuscript.paragraphs[position].words);
+    return { chapter, label, total: words.length, counts: tallyBy(words, posOf) };
+  })
+  .filter(row => row.total > 0);
+
+// Type/token ratio on normalised forms, plus the number of distinct lemmas
+export const lexicalDiversity = (manuscripts) => manuscripts.map(manuscript => {
+  const forms = manuscript.paragraphs.flatMap(para => para.words.map(word => normaliseForm(word.ogeo))).filter(Boolean);
+  const types = new Set(forms).size;
+  return {
+    siglum: manuscript.siglum,
+    tokens: forms.length,
+    types,
+    ttr: forms.length > 0 ? types / forms.length : 0,
+    lemmas: manuscriptStats(manuscript).lemmas
+  };
+});
+
+// Verses attested in some witness but absent from each one
+export const missingVerses = (manuscripts) => {
+  const refs = allVerseRefs(manuscripts);
+  return manuscripts.map(manuscript => {
+    const present = verseMap(manuscript);
+    return { siglum: manuscript.siglum, missing: refs.filter(ref => !present.has(ref)) };
+  });
+};
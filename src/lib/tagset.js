@@ -0,0 +1,175 @@
+// Morphological tagset of the `gram` annotations. Tags are dot-separated
+// components, "V.S3.O3.Sg" or "PN.Gen.Pl"; the first one is the part of speech.
+export const FEATURES = [
+  {
+    id: 'pos',
+    ka: 'მეტყველების ნაწილი',
+    en: 'Part of speech',
+    values: {
+      N: { ka: 'არსებითი სახელი', en: 'noun' },
+      PN: { ka: 'საკუთარი სახელი', en: 'proper noun' },
+      ADJ: { ka: 'ზედსართავი სახელი', en: 'adjective' },
+      NUM: { ka: 'რიცხვითი სახელი', en: 'numeral' },
+      PRON: { ka: 'ნაცვალსახელი', en: 'pronoun' },
+      V: { ka: 'ზმნა', en: 'verb' },
+      INF: { ka: 'საწყისი', en: 'masdar' },
+      ADV: { ka: 'ზმნიზედა', en: 'adverb' },
+      PREP: { ka: 'თანდებული', en: 'adposition' },
+      CONJ: { ka: 'კავშირი', en: 'conjunction' },
+      PRT: { ka: 'ნაწილაკი', en: 'particle' },
+      PV: { ka: 'ზმნისწინი', en: 'preverb' }
+    }
+  },
+  {
+    id: 'case',
+    ka: 'ბრუნვა',
+    en: 'Case',
+    values: {
+      Nom: { ka: 'სახელობითი', en: 'nominative' },
+      Erg: { ka: 'მოთხრობითი', en: 'ergative' },
+      Dat: { ka: 'მიცემითი', en: 'dative' },
+      Gen: { ka: 'ნათესაობითი', en: 'genitive' },
+      Inst: { ka: 'მოქმედებითი', en: 'instrumental' },
+      Adv: { ka: 'ვითარებითი', en: 'adverbial' },
+      Voc: { ka: 'წოდებითი', en: 'vocative' },
+      Abs: { ka: 'უბრუნველი', en: 'absolute' }
+    }
+  },
+  {
+    id: 'number',
+    ka: 'რიცხვი',
+    en: 'Number',
+    values: {
+      Sg: { ka: 'მხოლობითი', en: 'singular' },
+      Pl: { ka: 'მრავლობითი', en: 'plural' }
+    }
+  },
+  {
+    id: 'subject',
+    ka: 'სუბიექტის პირი',
+    en: 'Subject person',
+    values: {
+      S1: { ka: 'I პირი', en: '1st person' },
+      S2: { ka: 'II პირი', en: '2nd person' },
+      S3: { ka: 'III პირი', en: '3rd person' }
+    }
+  },
+  {
+    id: 'object',
+    ka: 'ობიექტის პირი',
+    en: 'Object person',
+    values: {
+      O1: { ka: 'I პირი', en: '1st person' },
+      O2: { ka: 'II პირი', en: '2nd person' },
+      O3: { ka: 'III პირი', en: '3rd person' }
+    }
+  },
+  {
+    id: 'tense',
+    ka: 'მწკრივი',
+    en: 'Tense/mood',
+    values: {
+      Pres: { ka: 'აწმყო', en: 'present' },
+      Aor: { ka: 'აორისტი', en: 'aorist' },
+      Imp: { ka: 'ბრძანებითი', en: 'imperative' }
+    }
+  }
+];
+
+// Misspellings and variant spellings found in the annotation files;
+// the copula is sometimes tagged with the English "be"
+const ALIASES = {
+  BE: 'V', PART: 'PRT', PORN: 'PRON', PROM: 'PRON', CON: 'CONJ', PRP: 'PREP', INSTR: 'Inst'
+};
+
+const FEATURE_OF = new Map();
+const CANONICAL = new Map();
+FEATURES.forEach(feature => Object.keys(feature.values).forEach(code => {
+  FEATURE_OF.set(code, feature.id);
+  CANONICAL.set(code.toUpperCase(), code);
+}));
+Object.entries(ALIASES).forEach(([alias, code]) => CANONICAL.set(alias, code));
+
+// "Adv" is a case after a nominal part of speech and the adverb POS in first position
+const canonical = (part, first) => {
+  const code = CANONICAL.get(part.toUpperCase());
+  if (!code) return null;
+  if (first && code === 'Adv') return 'ADV';
+  if (!first && code === 'ADV') return 'Adv';
+  return code;
+};
+
+// Components such as "O3Sg" or "1Sg" fuse person and number; "1S" puts the person
+// before its role, the number following as a component of its own ("V.AOR.1S.Sg")
+const FUSED = /^(?:([SO]?)([123])|([123])([SO]))(Sg|Pl)?$/i;
+
+const cache = new Map();
+
+// Parse a tag into { pos, case, number, subject, object, tense, unknown: [...] }.
+// Preverbed verbs ("PV-V") count as verbs; "Sg-with" style postpositions are kept as unknown.
+export const parseGram = (gram) => {
+  const key = gram || '';
+  if (cache.has(key)) return cache.get(key);
+
+  const features = { unknown: [] };
+  const parts = key.split(/[.:,\s]+/).filter(part => part && part !== '+');
+  parts.forEach((component, idx) => {
+    component.split('-').filter(Boolean).forEach((part, partIdx) => {
+      const fused = part.match(FUSED);
+      if (fused) {
+        const role = (fused[1] || fused[4] || 'S').toUpperCase();
+        features[role === 'O' ? 'object' : 'subject'] = `${role}${fused[2] || fused[3]}`;
+        if (fused[5]) features.number = canonical(fused[5], false);
+        return;
+      }
+
+      const code = canonical(part, idx === 0);
+      const feature = code && FEATURE_OF.get(code);
+      if (!feature) {
+        features.unknown.push(part);
+      } else if (feature === 'pos' && features.pos && partIdx > 0) {
+        // "PV-V": the last part of speech in a compound wins
+        features.pos = code;
+      } else if (!features[feature]) {
+        features[feature] = code;
+      }
+    });
+  });
+
+  cache.set(key, features);
+  return features;
+};
+
+// Features of a tag in tagset order with their Georgian and English labels, for tooltips
+export const describeGram = (gram) => {
+  const features = parseGram(gram);
+  return FEATURES
+    .filter(feature => features[feature.id])
+    .map(feature => ({
+      feature: { id: feature.id, ka: feature.ka, en: feature.en },
+      code: features[feature.id],
+      value: feature.values[features[feature.id]]
+    }));
+};
+
+// Background colours for the part-of-speech reading mode
+export const POS_STYLES = {
+  N: 'bg-sky-100',
+  PN: 'bg-indigo-100',
+  ADJ: 'bg-lime-100',
+  NUM: 'bg-teal-100',
+  PRON: 'bg-cyan-100',
+  V: 'bg-rose-100',
+  INF: 'bg-pink-100',
+  ADV: 'bg-amber-100',
+  PREP: 'bg-violet-100',
+  CONJ: 'bg-gray-200',
+  PRT: 'bg-stone-200',
+  PV: 'bg-orange-100'
+};
+
+// Does a tag carry a "feature:code" value, e.g. "case:Gen"?
+export const gramHasFeature = (gram, selector) => {
+  const [featureId, code] = selector.split(':');
+  return parseGram(gram)[featureId] === code;
+};
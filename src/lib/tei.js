@@ -0,0 +1,122 @@
+import { escapeXml } from './xml.js';
+
+// Per-token equivalents are kept as typed notes inside each <w>
+const GLOSS_FIELDS = [
+  { field: 'greek', lang: 'grc' },
+  { field: 'armenian', lang: 'hy' },
+  { field: 'english', lang: 'en' }
+];
+
+const attrs = (pairs) => pairs
+  .filter(([, value]) => value !== undefined && value !== null && value !== '')
+  .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+  .join('');
+
+const element = (name, content, indent) => (content ? `${indent}<${name}>${escapeXml(content)}</${name}>` : null);
+
+const wordToTei = (word, id, indent) => {
+  const glosses = GLOSS_FIELDS
+    .filter(({ field }) => word[field])
+    .map(({ field, lang }) => `<note type="gloss" xml:lang="${lang}">${escapeXml(word[field])}</note>`)
+    .join('');
+  return `${indent}<w${attrs([['xml:id', id], ['lemma', word.lemma], ['ana', word.grammar]])}>${escapeXml(word.ogeo)}${glosses}</w>`;
+};
+
+// Blocks of each chapter of the manuscript's chapter → verse tree. Headings are left
+// out (the <div> carries the number), as are paragraphs with nothing in them.
+const chaptersOf = (manuscript) => manuscript.chapters.map(chapter => {
+  const verseAt = new Map(chapter.verses.map(item => [item.position, item.verse]));
+  const items = chapter.positions
+    .filter(position => position !== chapter.header)
+    .map(position => {
+      const para = manuscript.paragraphs[position];
+      const ref = verseAt.has(position) ? { chapter: chapter.chapter, verse: verseAt.get(position) } : null;
+      // Some indices hold the verse text itself, after its reference
+      const text = para.text.trim() || String(para.index).trim().replace(/^\d+\s*[.,]\s*\d+\s*/, '');
+      return { para, ref, text };
+    })
+    .filter(item => item.para.words.length > 0 || item.text);
+  return { n: chapter.chapter, items };
+});
+
+const lines = (...items) => items.flat().filter(Boolean).join('\n');
+
+const teiHeader = (manuscript) => lines(
+  '  <teiHeader>',
+  '    <fileDesc>',
+  '      <titleStmt>',
+  `        <title>${escapeXml(manuscript.title)}</title>`,
+  element('editor', manuscript.editor, '        '),
+  '      </titleStmt>',
+  '      <publicationStmt>',
+  element('publisher', manuscript.publisher, '        '),
+  element('pubPlace', manuscript.pubPlace, '        '),
+  element('date', manuscript.publishDate, '        '),
+  manuscript.licence ? `        <availability><licence>${escapeXml(manuscript.licence)}</licence></availability>` : null,
+  manuscript.publisher || manuscript.pubPlace || manuscript.publishDate ? null : '        <p>Tobit manuscripts corpus</p>',
+  '      </publicationStmt>',
+  '      <sourceDesc>',
+  `        <msDesc xml:id="${escapeXml(manuscript.siglum)}">`,
+  '          <msIdentifier>',
+  element('repository', manuscript.location, '            '),
+  `            <idno>${escapeXml(manuscript.idno || manuscript.title)}</idno>`,
+  '          </msIdentifier>',
+  manuscript.additionalDetail ? `          <physDesc><p>${escapeXml(manuscript.additionalDetail)}</p></physDesc>` : null,
+  manuscript.date ? `          <history><origin><origDate>${escapeXml(manuscript.date)}</origDate></origin></history>` : null,
+  '        </msDesc>',
+  '      </sourceDesc>',
+  '    </fileDesc>',
+  '    <encodingDesc>',
+  '      <p>Tokens carry their lemma in @lemma and their morphological tag in @ana;',
+  '      Greek, Armenian and English equivalents are given as notes of type "gloss".</p>',
+  '    </encodingDesc>',
+  '  </teiHeader>'
+);
+
+// Serialise a parsed manuscript as a TEI P5 document
+export const manuscriptToTei = (manuscript) => {
+  const sig = manuscript.siglum;
+  const usedIds = new Set();
+
+  // Some witnesses repeat a verse number; later copies get a suffix to keep ids unique
+  const uniqueId = (id) => {
+    let candidate = id;
+    for (let copy = 2; usedIds.has(candidate); copy++) candidate = `${id}.${copy}`;
+    usedIds.add(candidate);
+    return candidate;
+  };
+
+  const body = chaptersOf(manuscript).map(chapter => {
+    const blocks = chapter.items.map(({ para, ref, text }, idx) => {
+      const id = uniqueId(ref ? `${sig}.${ref.chapter}.${ref.verse}` : `${sig}.${chapter.n}.u${idx + 1}`);
+      return lines(
+        `        <ab${attrs([['xml:id', id], ['n', ref ? `${ref.chapter}.${ref.verse}` : undefined], ['type', ref ? undefined : 'unnumbered']])}>`,
+        para.words.length > 0
+          ? para.words.map((word, wIdx) => wordToTei(word, `${id}.w${wIdx + 1}`, '          '))
+          : `          ${escapeXml(text)}`,
+        '        </ab>',
+        para.translation.trim()
+          ? `        <ab type="translation" xml:lang="grc" corresp="#${escapeXml(id)}">${escapeXml(para.translation.trim())}</ab>`
+          : null
+      );
+    });
+
+    return lines(
+      `      <div${attrs([['type', 'chapter'], ['n', chapter.n]])}>`,
+      blocks,
+      '      </div>'
+    );
+  });
+
+  return `${lines(
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<TEI xmlns="http://www.tei-c.org/ns/1.0" xml:lang="ka">',
+    teiHeader(manuscript),
+    '  <text>',
+    '    <body>',
+    body,
+    '    </body>',
+    '  </text>',
+    '</TEI>'
+  )}\n`;
+};
@@ -0,0 +1,148 @@
+import { ANNOTATION_FIELDS } from './annotations.js';
+import { isChapterHeading, leadingVerseRef } from './verses.js';
+import { escapeXml } from './xml.js';
+
+// Search results and verse ranges as files: CSV and JSON rows carrying every token's
+// annotations, and a self-contained HTML page with the Georgian and Greek side by side
+// that prints cleanly and opens in a word processor. Labels come from the caller's `t`.
+
+const annotations = (word) => Object.fromEntries(ANNOTATION_FIELDS.map(({ field }) => [field, word[field] ?? '']));
+
+const georgianText = (para) => (para.words.length > 0 ? para.words.map(word => word.ogeo).join(' ') : para.text);
+
+// Paragraphs with a verse reference, the points a range can start or end at
+export const versePositions = (manuscript) => manuscript.paragraphs
+  .map((para, position) => (leadingVerseRef(para.index) ? position : null))
+  .filter(position => position !== null);
+
+// Verses from one reference to another, with any unnumbered paragraphs between them
+export const verseRange = (manuscript, from, to) => manuscript.paragraphs
+  .map((para, position) => position)
+  .filter(position => position >= from && position <= to && !isChapterHeading(manuscript.paragraphs[position]));
+
+const hitFields = (manuscript, hit) => ({
+  verse: hit.paragraphIndex,
+  position: hit.position,
+  wordIndex: hit.wordIndex,
+  left: hit.leftContext,
+  form: hit.word,
+  right: hit.rightContext,
+  ...annotations(manuscript.paragraphs[hit.position].words[hit.wordIndex])
+});
+
+// One row per search hit, in the order given
+export const searchRows = (results) => results.flatMap(({ manuscript, results: hits }) => hits
+  .map(hit => ({ siglum: manuscript.siglum, file: hit.file, ...hitFields(manuscript, hit) })));
+
+// One row per token of the verses at `positions`
+export const verseRows = (manuscript, positions) => positions.flatMap(position => {
+  const para = manuscript.paragraphs[position];
+  return para.words.map((word, wordIndex) => ({
+    siglum: manuscript.siglum,
+    file: manuscript.filename,
+    verse: para.index,
+    position,
+    wordIndex,
+    form: word.ogeo,
+    ...annotations(word)
+  }));
+});
+
+export const searchJson = (results, query) => JSON.stringify({
+  query,
+  manuscripts: results.map(({ manuscript, results: hits }) => ({
+    siglum: manuscript.siglum,
+    title: manuscript.title,
+    file: manuscript.filename,
+    hits: hits.map(hit => hitFields(manuscript, hit))
+  }))
+}, null, 2);
+
+export const versesJson = (manuscript, positions) => JSON.stringify({
+  siglum: manuscript.siglum,
+  title: manuscript.title,
+  file: manuscript.filename,
+  verses: positions.map(position => {
+    const para = manuscript.paragraphs[position];
+    return {
+      verse: para.index,
+      position,
+      georgian: georgianText(para),
+      greek: para.translation.trim(),
+      words: para.words.map(word => ({ form: word.ogeo, ...annotations(word) }))
+    };
+  })
+}, null, 2);
+
+// Page styles; tables rather than grids, since word processors only keep those
+const STYLE = `
+  body { font-family: 'Noto Sans Georgian', 'Sylfaen', sans-serif; font-size: 11pt; margin: 2cm; }
+  h1 { font-size: 16pt; }
+  h2 { font-size: 13pt; margin-top: 18pt; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 12pt; }
+  tr, table.annotations { page-break-inside: avoid; }
+  th, td { border: 1px solid #999; padding: 3pt 5pt; vertical-align: top; text-align: left; }
+  th { background: #eee; }
+  [lang="grc"] { font-family: 'Gentium Plus', 'Times New Roman', serif; }
+  table.annotations { font-size: 9pt; margin: 0; }
+  @page { margin: 2cm; }
+  @media print { body { margin: 0; } }
+`;
+
+const page = (title, body) => [
+  '<!DOCTYPE html>',
+  '<html lang="ka">',
+  '<head>',
+  '<meta charset="utf-8">',
+  `<title>${escapeXml(title)}</title>`,
+  `<style>${STYLE}</style>`,
+  '</head>',
+  '<body>',
+  `<h1>${escapeXml(title)}</h1>`,
+  ...body,
+  '</body>',
+  '</html>'
+].join('\n');
+
+const annotationHeader = (t) => `<tr><th>${escapeXml(t('query.fields.form'))}</th>${ANNOTATION_FIELDS
+  .map(({ field }) => `<th>${escapeXml(t(`edits.fields.${field}`))}</th>`).join('')}</tr>`;
+
+const annotationRow = (word) => `<tr><td>${escapeXml(word.ogeo)}</td>${ANNOTATION_FIELDS
+  .map(({ field }) => `<td${field === 'greek' ? ' lang="grc"' : field === 'armenian' ? ' lang="hy"' : ''}>${escapeXml(word[field])}</td>`).join('')}</tr>`;
+
+const annotationTable = (words, t) => `<table class="annotations">${annotationHeader(t)}${words.map(annotationRow).join('')}</table>`;
+
+const parallelHeader = (t) => `<tr><th style="width: 6%">${escapeXml(t('common.verse'))}</th>`
+  + `<th style="width: 47%">${escapeXml(t('languages.georgian'))}</th><th style="width: 47%">${escapeXml(t('languages.greek'))}</th></tr>`;
+
+// Each verse as a Georgian | Greek row, its tokens' annotations in the row below
+export const versesToHtml = (manuscript, positions, t) => {
+  const first = manuscript.paragraphs[positions[0]]?.index;
+  const last = manuscript.paragraphs[positions[positions.length - 1]]?.index;
+  const title = `${manuscript.title} (${manuscript.siglum}) ${first}${last !== first ? `–${last}` : ''}`;
+  const rows = positions.map(position => {
+    const para = manuscript.paragraphs[position];
+    return [
+      `<tr><td>${escapeXml(para.index)}</td><td lang="ka">${escapeXml(georgianText(para))}</td>`
+        + `<td lang="grc">${escapeXml(para.translation.trim())}</td></tr>`,
+      `<tr><td></td><td colspan="2">${annotationTable(para.words, t)}</td></tr>`
+    ].join('\n');
+  });
+  return page(title, [`<table>${parallelHeader(t)}`, ...rows, '</table>']);
+};
+
+// Each hit in its context beside the Greek of its verse, with the hit's annotations
+export const searchToHtml = (results, query, t) => page(t('export.searchTitle', { query }), results.flatMap(({ manuscript, results: hits }) => [
+  `<h2>${escapeXml(manuscript.title)} (${escapeXml(manuscript.siglum)}) — ${escapeXml(t('export.hits', { count: hits.length }))}</h2>`,
+  `<table>${parallelHeader(t)}`,
+  ...hits.map(hit => {
+    const word = manuscript.paragraphs[hit.position].words[hit.wordIndex];
+    return [
+      `<tr><td>${escapeXml(hit.paragraphIndex)}</td>`
+        + `<td lang="ka">${escapeXml(hit.leftContext)} <b>${escapeXml(hit.word)}</b> ${escapeXml(hit.rightContext)}</td>`
+        + `<td lang="grc">${escapeXml(manuscript.paragraphs[hit.position].translation.trim())}</td></tr>`,
+      `<tr><td></td><td colspan="2">${annotationTable([word], t)}</td></tr>`
+    ].join('\n');
+  }),
+  '</table>'
+]));
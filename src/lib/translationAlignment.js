@@ -0,0 +1,46 @@
+import { alignSequences } from './align.js';
+import { NO_EQUIVALENT } from './annotations.js';
+import { foldGreek } from './equivalents.js';
+
+// Link each Georgian token of a verse to the words of the verse's Greek
+// `translation`, using the `grc` equivalent recorded on the token. The Greek
+// words are found in order by LCS alignment; equivalents the alignment could
+// not place (the translator reordered them) are then matched to the nearest
+// unlinked occurrence of the same word.
+//
+// Returns {
+//   greek: [{ text, key, words: [token indices] }]  - the translation split into words,
+//                                                  key being the folded form ('' for punctuation)
+//   links: [[greek word indices]]                   - per Georgian token
+// }
+export const alignTranslation = (para) => {
+  const greek = para.translation.split(/\s+/).filter(Boolean).map(text => ({ text, key: foldGreek(text), words: [] }));
+  const links = para.words.map(() => []);
+
+  // One entry per Greek word of each token's equivalent ("τὸ ἀργύριον" gives two)
+  const sources = para.words.flatMap((word, wordIndex) => (word.greek === NO_EQUIVALENT ? [] : foldGreek(word.greek)
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(key => ({ wordIndex, key }))));
+
+  const link = (source, greekIndex) => {
+    links[source.wordIndex].push(greekIndex);
+    greek[greekIndex].words.push(source.wordIndex);
+  };
+
+  const unplaced = [];
+  alignSequences(sources.map(source => source.key), greek.map(word => word.key)).forEach(op => {
+    if (op.type === 'match') link(sources[op.a], op.b);
+    else if (op.type === 'delete') unplaced.push(sources[op.a]);
+  });
+
+  unplaced.forEach(source => {
+    const nearest = greek
+      .map((word, greekIndex) => ({ word, greekIndex }))
+      .filter(({ word }) => word.key === source.key && word.words.length === 0)
+      .sort((a, b) => Math.abs(a.greekIndex - source.wordIndex) - Math.abs(b.greekIndex - source.wordIndex))[0];
+    if (nearest) link(source, nearest.greekIndex);
+  });
+
+  return { greek, links };
+};
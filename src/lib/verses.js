@@ -0,0 +1,107 @@
+// Verse references are written "5,1" in the XML and "5.1" in the annotation CSVs;
+// a few XML entries also use "2.7". Everything is normalised to the XML form.
+export const normaliseVerseRef = (ref) => String(ref ?? '').trim().replace(/\s+/g, '').replace(/\./g, ',');
+
+// Parse "c,v" into numbers, or null for chapter headers and stray text in <index>
+export const parseVerseRef = (ref) => {
+  const match = normaliseVerseRef(ref).match(/^(\d+),(\d+)$/);
+  if (!match) return null;
+  return { chapter: Number(match[1]), verse: Number(match[2]) };
+};
+
+// Some indices run on into the verse text ("1,12 რამეთუ …", "6,2და …");
+// the reference at their start still places the paragraph
+export const leadingVerseRef = (index) => {
+  const match = String(index ?? '').trim().match(/^(\d+)\s*[.,]\s*(\d+)/);
+  return match ? { chapter: Number(match[1]), verse: Number(match[2]) } : null;
+};
+
+// The same as a "c,v" string, the key verses are filed under; "9.3.4" is filed under 9,3
+export const leadingVerse = (index) => {
+  const ref = leadingVerseRef(index);
+  return ref ? `${ref.chapter},${ref.verse}` : null;
+};
+
+// Chapter headings have a Roman numeral in <index> and "თავი" as their text
+export const CHAPTER_NUMBER = /^[IVXLC]+$/i;
+
+export const isChapterHeading = (para) => CHAPTER_NUMBER.test(String(para.index).trim()) || para.text.trim() === 'თავი';
+
+// Chapter → verse tree of a manuscript's paragraphs, in chapter order:
+//   [{ chapter, label, header, verses: [{ verse, position }], positions }]
+// `header` is the position of the chapter's heading paragraph or null, and `positions`
+// lists every paragraph shown with the chapter, in text order. A heading belongs to the
+// chapter of the verse after it; a paragraph without a reference stays with the verse before it.
+export const buildChapters = (paragraphs) => {
+  const chapters = new Map();
+  let current = null;
+  let heading = null;
+  let waiting = [];
+
+  paragraphs.forEach((para, position) => {
+    if (isChapterHeading(para)) {
+      heading = { position, label: String(para.index).trim() };
+      waiting.push(position);
+      return;
+    }
+
+    const ref = leadingVerseRef(para.index);
+    if (!ref) {
+      if (current && !heading) current.positions.push(position);
+      else waiting.push(position);
+      return;
+    }
+
+    if (!chapters.has(ref.chapter)) {
+      chapters.set(ref.chapter, { chapter: ref.chapter, label: String(ref.chapter), header: null, verses: [], positions: [] });
+    }
+    current = chapters.get(ref.chapter);
+    if (heading && current.header === null) {
+      current.header = heading.position;
+      current.label = heading.label;
+    }
+    current.positions.push(...waiting, position);
+    current.verses.push({ verse: ref.verse, position });
+    heading = null;
+    waiting = [];
+  });
+  if (current) current.positions.push(...waiting);
+
+  return [...chapters.values()].sort((a, b) => a.chapter - b.chapter);
+};
+
+// Verse numbers per chapter of a set of "c,v" references, e.g. every verse attested in some witness
+export const versification = (refs) => {
+  const chapters = new Map();
+  refs.map(parseVerseRef).filter(Boolean).forEach(({ chapter, verse }) => {
+    if (!chapters.has(chapter)) chapters.set(chapter, new Set());
+    chapters.get(chapter).add(verse);
+  });
+  return new Map([...chapters].map(([chapter, verses]) => [chapter, [...verses].sort((a, b) => a - b)]));
+};
+
+// Table of contents of a witness measured against a versification: one row per chapter,
+// with the index of the witness's chapter (-1 when it is lost entirely) and the verses it lacks
+export const tableOfContents = (chapters, reference) => [...new Set([...reference.keys(), ...chapters.map(ch => ch.chapter)])]
+  .sort((a, b) => a - b)
+  .map(chapter => {
+    const index = chapters.findIndex(ch => ch.chapter === chapter);
+    const present = new Set(index === -1 ? [] : chapters[index].verses.map(item => item.verse));
+    return {
+      chapter,
+      index,
+      label: index === -1 ? String(chapter) : chapters[index].label,
+      missing: (reference.get(chapter) || []).filter(verse => !present.has(verse))
+    };
+  });
+
+// Collapse verse numbers into ranges: 3 4 5 9 → "3–5, 9"
+export const numberRanges = (numbers) => {
+  const ranges = [];
+  numbers.forEach(number => {
+    const last = ranges[ranges.length - 1];
+    if (last && last.to === number - 1) last.to = number;
+    else ranges.push({ from: number, to: number });
+  });
+  return ranges.map(range => (range.to > range.from ? `${range.from}–${range.to}` : `${range.from}`)).join(', ');
+};
@@ -0,0 +1,3 @@
+const XML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' };
+
+export const escapeXml = (text) => String(text ?? '').replace(/[&<>"']/g, ch => XML_ENTITIES[ch]);
@@ -0,0 +1,285 @@
+// English interface strings; keys missing here fall back to Georgian (see src/lib/i18n.js)
+export default {
+  nav: {
+    home: 'Home',
+    about: 'About',
+    catalogue: 'Manuscripts',
+    glossary: 'Glossary',
+    equivalents: 'Equivalents',
+    synopsis: 'Synopsis',
+    stats: 'Statistics',
+    map: 'Map',
+    search: 'Search',
+    language: 'Interface language'
+  },
+
+  common: {
+    loading: 'Loading...',
+    loadingManuscripts: 'Loading manuscripts...',
+    loadFailed: 'Could not load the manuscripts: {error}',
+    search: 'Search',
+    showMore: 'Show more ({count})',
+    chapter: 'Chapter {label}',
+    verse: 'Verse',
+    witness: 'Manuscript',
+    all: 'All'
+  },
+
+  offline: {
+    offline: 'No connection — reading the saved copy of the manuscripts',
+    updateReady: 'A new version of the edition or the manuscript data has been downloaded.',
+    reload: 'Reload'
+  },
+
+  languages: {
+    georgian: 'Georgian',
+    greek: 'Greek',
+    armenian: 'Armenian',
+    english: 'English'
+  },
+
+  home: {
+    title: 'The Book of Tobit'
+  },
+
+  reader: {
+    backHome: '← Back to home',
+    columns: 'Columns:',
+    apparatus: 'Critical apparatus',
+    edit: 'Edit',
+    grammar: 'Grammar:',
+    noHighlight: 'No highlighting',
+    posColours: 'Colour by part of speech',
+    chapter: 'Chapter:',
+    chooseChapter: 'Choose a chapter',
+    linkHint: 'Hover over or click a word to see its Greek equivalent',
+    addition: 'Georgian addition',
+    omission: 'Greek omission',
+    contents: 'Contents:',
+    lacuna: 'Chapter {label} — lacuna',
+    missingVerses: 'Missing verses: {ranges}',
+    chapterLost: 'Chapter {chapter} does not survive in this manuscript (lacuna). Choose another chapter from the contents.',
+    export: 'Export:',
+    apparatusExport: 'Critical apparatus:',
+    apparatusText: 'Text (TXT)',
+    apparatusFailed: 'Could not build the apparatus: {error}',
+    deest: 'deest in {sigla}',
+    noText: 'No text available',
+    notFound: 'Text not found',
+    notFoundDetail: 'The XML file is missing or has an invalid structure.',
+    unknownWitness: 'The corpus has no manuscript with the siglum “{siglum}”.',
+    notFoundConsole: 'Open the browser console (F12) for more information.',
+    commentary: 'Commentary',
+    noNotes: 'No comments',
+    showInText: 'Show in the text'
+  },
+
+  metadata: {
+    title: 'Title:',
+    editor: 'Editor:',
+    email: 'Email:',
+    publisher: 'Publisher:',
+    pubPlace: 'Place of publication:',
+    publishDate: 'Date:',
+    sourceStatus: 'Source:',
+    location: 'Location:',
+    date: 'Dating:',
+    additionalDetail: 'Additional information:'
+  },
+
+  tooltip: {
+    lemma: 'Lemma:',
+    grammar: 'Grammar:',
+    english: 'English:',
+    greek: 'Greek:',
+    armenian: 'Armenian:'
+  },
+
+  merge: {
+    title: 'Annotation merge:',
+    matched: 'Matched words: {count}',
+    unmatchedRows: 'Unmatched CSV rows: {count}',
+    unmatchedTokens: 'Words without annotation: {count}',
+    conflicts: 'Conflicts: {count}',
+    details: 'Show details',
+    showConflicts: 'Show conflicts',
+    showUnmatched: 'Show unmatched rows',
+    download: 'Download report (CSV)',
+    loadFailed: 'Could not load the merge report: {error}'
+  },
+
+  edits: {
+    fields: {
+      lemma: 'Lemma',
+      grammar: 'Grammar',
+      english: 'English',
+      greek: 'Greek',
+      armenian: 'Armenian'
+    },
+    inCorpus: 'In the corpus:',
+    unknownPos: 'Part of speech unknown.',
+    unknownMarks: 'Unknown tags: {marks}',
+    save: 'Save',
+    reset: 'Original values',
+    close: 'Close',
+    title: 'Corrections ({count}):',
+    hint: 'Click a word to correct its annotation.',
+    revert: 'Revert',
+    correctedCsv: 'Corrected CSV',
+    correctedXml: 'Corrected XML',
+    discardAll: 'Discard all',
+    confirmDiscard: 'Discard all corrections to this manuscript?',
+    csvSkipped: {
+      one: '1 word is part of a multi-word CSV row; its correction is only written to the XML.',
+      other: '{count} words are part of multi-word CSV rows; their corrections are only written to the XML.'
+    },
+    exportFailed: 'Export failed: {error}'
+  },
+
+  cite: {
+    action: 'Cite',
+    title: 'Citation',
+    copy: 'Copy',
+    copied: 'Copied',
+    download: 'Download file'
+  },
+
+  search: {
+    query: 'Query',
+    help: 'Fields: form, lemma, gram, eng, grc, arm · operators: AND, OR, NOT, ( ) · wildcards: * and ? · უ/ვ, ჳ, ჲ and abbreviation marks are ignored, as are Greek accents and breathings',
+    regex: 'Regular expression',
+    wholeWord: 'Whole word',
+    fuzzy: 'Fuzzy matching',
+    fuzzyHint: 'Also find forms that differ by a letter or two',
+    suggestions: 'Suggestions',
+    context: 'Context:',
+    contextWords: { one: '1 word', other: '{count} words' },
+    sort: 'Sort:',
+    sortText: 'By text order',
+    sortLeft: 'By left context',
+    sortRight: 'By right context',
+    inText: 'In:',
+    found: { one: '1 match:', other: '{count} matches:' },
+    notFound: 'No matches for {query}'
+  },
+
+  export: {
+    verses: 'Export verses:',
+    html: 'HTML (print, Word)',
+    htmlHint: 'Georgian and Greek side by side with the annotations; open it in a browser to print, or in Word',
+    searchTitle: 'Search: {query}',
+    hits: { one: '1 match', other: '{count} matches' },
+    failed: 'Could not export: {error}'
+  },
+
+  query: {
+    fields: {
+      form: 'Form',
+      lemma: 'Lemma',
+      gram: 'Grammar',
+      eng: 'English',
+      grc: 'Greek',
+      arm: 'Armenian'
+    },
+    errors: {
+      invalid: 'Invalid query: “{detail}”',
+      unknownField: 'Unknown field: “{detail}”',
+      incomplete: 'The query is incomplete',
+      missingParen: 'Missing closing parenthesis',
+      unexpected: 'Unexpected “{detail}”'
+    }
+  },
+
+  catalogue: {
+    title: 'Manuscripts',
+    open: 'Read the text →',
+    idno: 'Shelfmark',
+    location: 'Held at',
+    origin: 'Place of origin',
+    date: 'Dating',
+    description: 'Description',
+    noDescription: 'No description has been added yet',
+    tokens: 'words',
+    lemmas: 'lemmas',
+    annotated: 'annotated',
+    coverage: 'Verses by chapter: {present}/{total} ({percent}%)',
+    chapterCoverage: 'Chapter {chapter}: {present}/{total}'
+  },
+
+  glossary: {
+    occurrences: { one: '1 occurrence', other: '{count} occurrences' },
+    forms: 'Forms',
+    form: 'Form',
+    count: 'Count',
+    grammar: 'Grammar',
+    concordance: 'Concordance',
+    filter: 'Lemma or translation...',
+    listed: '{listed} / {total} lemmas',
+    choose: 'Choose a lemma from the list'
+  },
+
+  equivalents: {
+    noEquivalent: 'no equivalent',
+    total: 'Total',
+    examples: 'Examples ({count})',
+    greekToGeorgian: 'Greek → Georgian, Armenian',
+    lemmaToGreek: 'Georgian lemma → Greek',
+    greekPlaceholder: 'Greek word, e.g. υἱός or υἱ*',
+    lemmaPlaceholder: 'Georgian lemma',
+    noResults: 'No results found',
+    georgianRenderings: 'Georgian renderings (lemma)',
+    greekSources: 'Greek source',
+    armenianRenderings: 'Armenian renderings'
+  },
+
+  synopsis: {
+    base: 'Base text:',
+    fromVerse: 'From verse:',
+    toVerse: 'To verse:',
+    witnesses: 'Witnesses:',
+    addition: 'Addition',
+    omission: 'Omission',
+    substitution: 'Substitution',
+    baseMark: '(base)'
+  },
+
+  stats: {
+    title: 'Statistics',
+    unknownPos: 'unknown',
+    lemmaFrequency: 'Lemma frequency',
+    show: 'Show:',
+    witness: 'Manuscript:',
+    posByWitness: 'Parts of speech by manuscript',
+    posByChapter: 'Parts of speech by chapter',
+    diversity: 'Lexical diversity',
+    tokens: 'Tokens',
+    types: 'Types',
+    lemmas: 'Lemmas',
+    ttrNote: 'TTR is higher in shorter texts, so manuscripts of different lengths cannot be compared directly.',
+    missing: 'Missing verses'
+  },
+
+  map: {
+    repository: 'Held at',
+    origin: 'Place of origin',
+    chronology: 'Chronology',
+    from: 'From: {year}',
+    to: 'To: {year}',
+    undated: 'Include undated manuscripts',
+    manuscripts: 'Manuscripts',
+    dateUnknown: 'Date unknown',
+    originOf: 'Place of origin: {place}',
+    repositoryOf: 'Held at: {place}',
+    placeUnknown: 'Place unknown: {sigla}',
+    atPlace: 'Manuscripts at {place}',
+    close: 'Close'
+  },
+
+  about: {
+    title: 'About the project',
+    funding: 'The project “A multilingual annotated electronic parallel corpus edition of the Book of Tobit” is funded by the 2019 Young Scientists Research Grant (YS-19-165) of the Shota Rustaveli National Science Foundation of Georgia.',
+    edition: 'Within the project a parallel electronic edition of the Georgian, Greek and Armenian versions of the Book of Tobit was prepared and annotated at the same time: every word was given its lemma, grammatical form and English translation.',
+    historyTitle: 'The textual history of the Book of Tobit',
+    history: 'The Book of Tobit is one of the books of the Bible that were not included in the Hebrew canon. In Greek it has come down to us in three textual forms.'
+  }
+};
@@ -0,0 +1,285 @@
+// Georgian interface strings, the reference catalogue (see src/lib/i18n.js)
+export default {
+  nav: {
+    home: 'საწყისი',
+    about: 'პროექტის შესახებ',
+    catalogue: 'ხელნაწერები',
+    glossary: 'ლექსიკონი',
+    equivalents: 'ეკვივალენტები',
+    synopsis: 'სინოფსისი',
+    stats: 'სტატისტიკა',
+    map: 'რუკა',
+    search: 'ძიება',
+    language: 'ინტერფეისის ენა'
+  },
+
+  common: {
+    loading: 'იტვირთება...',
+    loadingManuscripts: 'იტვირთება ხელნაწერები...',
+    loadFailed: 'ხელნაწერები ვერ ჩაიტვირთა: {error}',
+    search: 'ძიება',
+    showMore: 'მეტის ჩვენება ({count})',
+    chapter: 'თავი {label}',
+    verse: 'მუხლი',
+    witness: 'ხელნაწერი',
+    all: 'ყველა'
+  },
+
+  offline: {
+    offline: 'ქსელთან კავშირი არ არის — იკითხება ხელნაწერების შენახული ასლი',
+    updateReady: 'ჩამოიტვირთა გამოცემის ან ხელნაწერების მონაცემების ახალი ვერსია.',
+    reload: 'განახლება'
+  },
+
+  languages: {
+    georgian: 'ქართული',
+    greek: 'ბერძნული',
+    armenian: 'სომხური',
+    english: 'ინგლისური'
+  },
+
+  home: {
+    title: 'ტობის წიგნი'
+  },
+
+  reader: {
+    backHome: '← უკან საწყისზე',
+    columns: 'სვეტები:',
+    apparatus: 'კრიტიკული აპარატი',
+    edit: 'რედაქტირება',
+    grammar: 'გრამატიკა:',
+    noHighlight: 'არ მოინიშნოს',
+    posColours: 'მეტყველების ნაწილები ფერებით',
+    chapter: 'თავი:',
+    chooseChapter: 'აირჩიეთ თავი',
+    linkHint: 'მიიტანეთ ან დააწკაპუნეთ სიტყვაზე ბერძნული შესატყვისის სანახავად',
+    addition: 'ქართული დამატება',
+    omission: 'ბერძნულის გამოტოვება',
+    contents: 'სარჩევი:',
+    lacuna: 'თავი {label} — ლაკუნა',
+    missingVerses: 'აკლია მუხლები: {ranges}',
+    chapterLost: 'თავი {chapter} ამ ხელნაწერში არ შემორჩენილა (ლაკუნა). აირჩიეთ სხვა თავი სარჩევიდან.',
+    export: 'ექსპორტი:',
+    apparatusExport: 'კრიტიკული აპარატი:',
+    apparatusText: 'ტექსტი (TXT)',
+    apparatusFailed: 'აპარატი ვერ შეიქმნა: {error}',
+    deest: 'აკლია: {sigla}',
+    noText: 'ტექსტი არ არის ხელმისაწვდომი',
+    notFound: 'ტექსტი ვერ მოიძებნა',
+    notFoundDetail: 'XML ფაილი ვერ მოიძებნა ან არასწორი სტრუქტურის აქვს.',
+    unknownWitness: 'კორპუსში არ არის ხელნაწერი სიგლით „{siglum}“.',
+    notFoundConsole: 'გახსენით ბრაუზერის Console (F12) დამატებითი ინფორმაციისთვის.',
+    commentary: 'კომენტარი',
+    noNotes: 'კომენტარები არ არის',
+    showInText: 'ტექსტში ნახვა'
+  },
+
+  // Sidebar labels for the manuscript metadata
+  metadata: {
+    title: 'დასახელება:',
+    editor: 'რედაქტორი:',
+    email: 'ელ-ფოსტა:',
+    publisher: 'გამომცემელი:',
+    pubPlace: 'გამოცემის ადგილი:',
+    publishDate: 'თარიღი:',
+    sourceStatus: 'წყარო:',
+    location: 'ადგილმდებარეობა:',
+    date: 'დათარიღება:',
+    additionalDetail: 'დამატებითი ინფორმაცია:'
+  },
+
+  // Labels in the word tooltip
+  tooltip: {
+    lemma: 'ლემა:',
+    grammar: 'გრამატიკა:',
+    english: 'ინგლისური:',
+    greek: 'ბერძნული:',
+    armenian: 'სომხური:'
+  },
+
+  merge: {
+    title: 'ანოტაციების შეჯერება:',
+    matched: 'შეჯერებული სიტყვები: {count}',
+    unmatchedRows: 'შეუსაბამო CSV სტრიქონები: {count}',
+    unmatchedTokens: 'ანოტაციის გარეშე სიტყვები: {count}',
+    conflicts: 'წინააღმდეგობები: {count}',
+    details: 'დეტალების ნახვა',
+    showConflicts: 'წინააღმდეგობების ნახვა',
+    showUnmatched: 'შეუსაბამო სტრიქონების ნახვა',
+    download: 'ანგარიშის ჩამოტვირთვა (CSV)',
+    loadFailed: 'შეჯერების ანგარიში ვერ ჩაიტვირთა: {error}'
+  },
+
+  // Annotation editor and the list of local corrections
+  edits: {
+    fields: {
+      lemma: 'ლემა',
+      grammar: 'გრამატიკა',
+      english: 'ინგლისური',
+      greek: 'ბერძნული',
+      armenian: 'სომხური'
+    },
+    inCorpus: 'კორპუსში:',
+    unknownPos: 'მეტყველების ნაწილი უცნობია.',
+    unknownMarks: 'უცნობი ნიშნები: {marks}',
+    save: 'შენახვა',
+    reset: 'საწყისი მნიშვნელობები',
+    close: 'დახურვა',
+    title: 'შესწორებები ({count}):',
+    hint: 'დააწკაპუნეთ სიტყვაზე ანოტაციის შესასწორებლად.',
+    revert: 'გაუქმება',
+    correctedCsv: 'შესწორებული CSV',
+    correctedXml: 'შესწორებული XML',
+    discardAll: 'ყველას გაუქმება',
+    confirmDiscard: 'გაუქმდეს ამ ხელნაწერის ყველა შესწორება?',
+    csvSkipped: '{count} სიტყვა მრავალსიტყვიან CSV სტრიქონშია და მისი შესწორება მხოლოდ XML-ში აისახება.',
+    exportFailed: 'ექსპორტი ვერ მოხერხდა: {error}'
+  },
+
+  cite: {
+    action: 'ციტირება',
+    title: 'ციტირება',
+    copy: 'კოპირება',
+    copied: 'დაკოპირდა',
+    download: 'ფაილის ჩამოტვირთვა'
+  },
+
+  search: {
+    query: 'მოთხოვნა',
+    help: 'ველები: form, lemma, gram, eng, grc, arm · ოპერატორები: AND, OR, NOT, ( ) · ნიშნები: * და ? · უ/ვ, ჳ, ჲ და ქარაგმის ნიშნები ძიებისას არ განირჩევა, ბერძნულში — მახვილები და სულისკვეთები',
+    regex: 'რეგულარული გამოსახულება',
+    wholeWord: 'მთლიანი სიტყვა',
+    fuzzy: 'მიახლოებითი ძიება',
+    fuzzyHint: 'მოიძებნება ერთი-ორი ასოთი განსხვავებული ფორმებიც',
+    suggestions: 'შეთავაზებები',
+    context: 'კონტექსტი:',
+    contextWords: '{count} სიტყვა',
+    sort: 'დალაგება:',
+    sortText: 'ტექსტის მიხედვით',
+    sortLeft: 'მარცხენა კონტექსტით',
+    sortRight: 'მარჯვენა კონტექსტით',
+    inText: 'ტექსტში:',
+    found: 'ნაპოვნია {count} შემთხვევა:',
+    notFound: 'სიტყვა {query} არ მოიძებნა'
+  },
+
+  export: {
+    verses: 'მუხლების ექსპორტი:',
+    html: 'HTML (ბეჭდვა, Word)',
+    htmlHint: 'ქართული და ბერძნული ტექსტი გვერდიგვერდ, ანოტაციებით; იხსნება ბრაუზერში დასაბეჭდად ან Word-ში',
+    searchTitle: 'ძიება: {query}',
+    hits: '{count} შემთხვევა',
+    failed: 'ექსპორტი ვერ მოხერხდა: {error}'
+  },
+
+  query: {
+    fields: {
+      form: 'ფორმა',
+      lemma: 'ლემა',
+      gram: 'გრამატიკა',
+      eng: 'ინგლისური',
+      grc: 'ბერძნული',
+      arm: 'სომხური'
+    },
+    errors: {
+      invalid: 'არასწორი მოთხოვნა: „{detail}“',
+      unknownField: 'უცნობი ველი: „{detail}“',
+      incomplete: 'მოთხოვნა დაუსრულებელია',
+      missingParen: 'აკლია დამხურავი ფრჩხილი',
+      unexpected: 'მოულოდნელი „{detail}“'
+    }
+  },
+
+  catalogue: {
+    title: 'ხელნაწერები',
+    open: 'ტექსტის ნახვა →',
+    idno: 'შიფრი',
+    location: 'დაცულია',
+    origin: 'შექმნის ადგილი',
+    date: 'დათარიღება',
+    description: 'აღწერილობა',
+    noDescription: 'აღწერილობა ჯერ არ არის დამატებული',
+    tokens: 'სიტყვა',
+    lemmas: 'ლემა',
+    annotated: 'ანოტირებული',
+    coverage: 'მუხლები თავების მიხედვით: {present}/{total} ({percent}%)',
+    chapterCoverage: 'თავი {chapter}: {present}/{total}'
+  },
+
+  glossary: {
+    occurrences: '{count} შემთხვევა',
+    forms: 'ფორმები',
+    form: 'ფორმა',
+    count: 'რაოდ.',
+    grammar: 'გრამატიკა',
+    concordance: 'კონკორდანსი',
+    filter: 'ლემა ან თარგმანი...',
+    listed: '{listed} / {total} ლემა',
+    choose: 'აირჩიეთ ლემა სიიდან'
+  },
+
+  equivalents: {
+    noEquivalent: 'ეკვივალენტი არ აქვს',
+    total: 'სულ',
+    examples: 'მაგალითები ({count})',
+    greekToGeorgian: 'ბერძნული → ქართული, სომხური',
+    lemmaToGreek: 'ქართული ლემა → ბერძნული',
+    greekPlaceholder: 'ბერძნული სიტყვა, მაგ. υἱός ან υἱ*',
+    lemmaPlaceholder: 'ქართული ლემა',
+    noResults: 'შედეგები ვერ მოიძებნა',
+    georgianRenderings: 'ქართული თარგმანები (ლემა)',
+    greekSources: 'ბერძნული წყარო',
+    armenianRenderings: 'სომხური თარგმანები'
+  },
+
+  synopsis: {
+    base: 'საბაზო ტექსტი:',
+    fromVerse: 'მუხლიდან:',
+    toVerse: 'მუხლამდე:',
+    witnesses: 'ნუსხები:',
+    addition: 'დამატება',
+    omission: 'გამოტოვება',
+    substitution: 'ჩანაცვლება',
+    baseMark: '(ბაზა)'
+  },
+
+  stats: {
+    title: 'სტატისტიკა',
+    unknownPos: 'უცნობი',
+    lemmaFrequency: 'ლემების სიხშირე',
+    show: 'ჩვენება:',
+    witness: 'ხელნაწერი:',
+    posByWitness: 'მეტყველების ნაწილები ხელნაწერების მიხედვით',
+    posByChapter: 'მეტყველების ნაწილები თავების მიხედვით',
+    diversity: 'ლექსიკური მრავალფეროვნება',
+    tokens: 'სიტყვაფორმები (tokens)',
+    types: 'ტიპები (types)',
+    lemmas: 'ლემები',
+    ttrNote: 'TTR მოკლე ტექსტებში უფრო მაღალია, ამიტომ სხვადასხვა სიგრძის ხელნაწერები პირდაპირ არ შედარდება.',
+    missing: 'გამოტოვებული მუხლები'
+  },
+
+  map: {
+    repository: 'დაცულია',
+    origin: 'შექმნის ადგილი',
+    chronology: 'ქრონოლოგია',
+    from: 'დან: {year}',
+    to: 'მდე: {year}',
+    undated: 'დაუთარიღებელი ხელნაწერებიც',
+    manuscripts: 'ხელნაწერები',
+    dateUnknown: 'თარიღი უცნობია',
+    originOf: 'შექმნის ადგილი: {place}',
+    repositoryOf: 'დაცულია: {place}',
+    placeUnknown: 'ადგილი უცნობია: {sigla}',
+    atPlace: 'ხელნაწერები: {place}',
+    close: 'დახურვა'
+  },
+
+  about: {
+    title: 'პროექტის შესახებ',
+    funding: 'პროექტი „ტობის წიგნის მრავალენოვანი ანოტირებული ელექტრონული პარალელური კორპუსული გამოცემა" დაფინანსებულია შოთა რუსთაველის საქართველოს ეროვნული სამეცნიერო ფონდის ახალგაზრდა მეცნიერთა კვლევების 2019 წლის გრანტით (YS-19-165).',
+    edition: 'პროექტის ფარგლებში მომზადდა ტობის წიგნის ქართული, ბერძნული და სომხური ვერსიების პარალელური ელექტრონული გამოცემა, რომელიც, ამავდროულად, იქნა ანოტირებული (თითოეულ სიტყვას მიეთითა ლემა, გრამატიკული ფორმა და ინგლისური თარგმანი).',
+    historyTitle: 'ტობის წიგნის ტექსტუალური ისტორია',
+    history: 'ტობის წიგნი ბიბლიის იმ წიგნთაგანია, რომელიც ებრაულ კანონში არ შესულა. ბერძნულად ჩვენამდე ტობის წიგნმა სამი ტექსტუალური ფორმით მოაღწია.'
+  }
+};
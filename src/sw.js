@@ -0,0 +1,82 @@
+// Service worker for reading the edition offline. It is not bundled with the app:
+// scripts/service-worker-plugin.js writes it to dist/sw.js with PRECACHE filled in:
+// the app shell, cover image and corpus files, and the content hash of each. Only
+// files whose hash changed are downloaded again on an update.
+const PRECACHE = self.__PRECACHE__;
+const PRECACHE_CACHE = 'tobit-precache';
+// Files read on demand (merge reports, source XML and CSV), kept for the next offline visit
+const RUNTIME_CACHE = 'tobit-runtime';
+
+const scoped = (url) => new URL(url, self.registration.scope).href;
+
+// Cache key of a precached file: its URL with the content hash appended
+const precacheKey = ({ url, revision }) => `${scoped(url)}?rev=${revision}`;
+
+const precached = new Map(PRECACHE.map(entry => [scoped(entry.url), precacheKey(entry)]));
+// The hash router keeps every page at the site root, served as index.html
+precached.set(scoped('./'), precached.get(scoped('index.html')));
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE_CACHE);
+    await Promise.all(PRECACHE.map(async (entry) => {
+      const key = precacheKey(entry);
+      if (await cache.match(key)) return;
+      const response = await fetch(scoped(entry.url), { cache: 'reload' });
+      if (!response.ok) throw new Error(`${entry.url}: ${response.status} ${response.statusText}`);
+      await cache.put(key, response);
+    }));
+  })());
+});
+
+// Drop files of earlier versions once this one takes over
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(PRECACHE_CACHE);
+    const current = new Set(precached.values());
+    const requests = await cache.keys();
+    await Promise.all(requests.filter(request => !current.has(request.url)).map(request => cache.delete(request)));
+    await self.clients.claim();
+  })());
+});
+
+// The page asks a waiting worker to take over when the reader accepts an update
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skipWaiting') self.skipWaiting();
+});
+
+const notifyOffline = async (clientId) => {
+  const client = clientId && await self.clients.get(clientId);
+  if (client) client.postMessage({ type: 'offline' });
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  url.search = '';
+  url.hash = '';
+
+  const key = precached.get(url.href);
+  if (key) {
+    event.respondWith(caches.match(key).then(cached => cached || fetch(request)));
+    return;
+  }
+
+  event.respondWith((async () => {
+    try {
+      const response = await fetch(request);
+      if (response.ok) {
+        const cache = await caches.open(RUNTIME_CACHE);
+        await cache.put(request, response.clone());
+      }
+      return response;
+    } catch (err) {
+      const cached = await caches.match(request);
+      if (!cached) throw err;
+      notifyOffline(event.clientId);
+      return cached;
+    }
+  })());
+});